@@ -4,22 +4,100 @@ import { connect } from "../src/commands/connect.js";
 import { list } from "../src/commands/list.js";
 import { remove } from "../src/commands/remove.js";
 import { diagnose } from "../src/commands/diagnose.js";
+import { hostkey } from "../src/commands/hostkey.js";
+import { exec } from "../src/commands/exec.js";
+import { run } from "../src/commands/run.js";
+import { push, pull } from "../src/commands/transfer.js";
+import { tunnel, collectForward } from "../src/commands/tunnel.js";
+import { importSSHConfig, exportSSHConfig } from "../src/commands/ssh-config.js";
+import { tag } from "../src/commands/tag.js";
+import { edit } from "../src/commands/edit.js";
+import { rename, clone } from "../src/commands/rename.js";
+import { migrate } from "../src/commands/migrate.js";
+import { configCheck, configRestore, configGet, configSet } from "../src/commands/config.js";
+import { profileList, profileUse } from "../src/commands/profile.js";
+import { backup, restore } from "../src/commands/backup.js";
+import { configurePaths, getActiveProfile, validateProfileName } from "../src/config/paths.js";
+import { log } from "../src/utils/logger.js";
+import { EXIT } from "../src/utils/exit-codes.js";
 import { Command } from "commander";
 const program = new Command();
 
 program
   .name("fastssh")
   .description("Fast SSH login tool")
-  .version("1.0.0");
+  .version("1.0.0")
+  .option("--config <path>", "Use this config file (default: $FASTSSH_HOME/config.json)")
+  .option("--profile <name>", "Use a named profile for this command")
+  .option("-A, --forward-agent", "Forward your SSH agent to the server (like ssh -A)")
+  .option("--reconnect", "Reconnect an interactive session when the connection drops");
+
+program.hook("preAction", () => {
+  const { config, profile } = program.opts();
+  configurePaths({ configPath: config, profile });
+
+  const check = validateProfileName(getActiveProfile());
+  if (!check.valid) {
+    log.error(check.error);
+    process.exit(EXIT.USAGE);
+  }
+});
 
 program
   .command("init <name>")
   .description("Setup new server")
+  .option("--key-type <type>", "SSH key type: ed25519, ecdsa or rsa")
+  .option("--key <path>", "Private key to use (generated if missing)")
+  .option("--host <host>", "Server IP or hostname (skips prompts)")
+  .option("--user <user>", "SSH username (skips prompts)")
+  .option("--port <port>", "SSH port (default: 22)")
+  .option("--auth <type>", "How to log in: key (default), agent, password or keyboard-interactive")
+  .option("--agent-key <match>", "Agent identity to install, by fingerprint or comment (implies --auth agent)")
+  .option("--password-stdin", "Read the setup password (stored for password auth) from stdin")
+  .option("--force", "Re-create the server if it already exists")
+  .option("--jump <server>", "Reach this server through a saved jump server (bastion)")
+  .option("--tag <tag...>", "Tags such as env:prod or role:db (repeat or comma-separate)")
+  .option("--group <group>", "Group the server belongs to")
+  .option("--description <text>", "Free-text description shown in 'fastssh list'")
   .action(init);
 
 program
-  .command("list")
-  .description("List all saved servers")
+  .command("edit <name>")
+  .description("Change a saved server (prompts prefilled from the entry when no flags are given)")
+  .option("--host <host>", "New IP or hostname")
+  .option("--user <user>", "New SSH username")
+  .option("--port <port>", "New SSH port")
+  .option("--key <path>", "Use another existing private key")
+  .option("--jump <server>", "Reach the server through this saved jump server")
+  .option("--no-jump", "Connect directly instead of through a jump server")
+  .option("--tag <tag...>", "Replace the server's tags")
+  .option("--group <group>", "Set the group (\"\" to clear)")
+  .option("--description <text>", "Set the description (\"\" to clear)")
+  .option("--keepalive-interval <seconds>", "Seconds between keepalive probes, 0 for none (\"\" for the global setting)")
+  .option("--keepalive-count-max <n>", "Unanswered probes before the link counts as dead (\"\" for the global setting)")
+  .option("--test", "Re-test SSH key authentication before saving")
+  .action(edit);
+
+program
+  .command("rename <old> <new>")
+  .description("Rename a saved server, keeping its stored passphrase")
+  .action(rename);
+
+program
+  .command("clone <source> <target>")
+  .description("Copy a saved server under a new name")
+  .option("--host <host>", "IP or hostname for the copy")
+  .option("--user <user>", "SSH username for the copy")
+  .option("--port <port>", "SSH port for the copy")
+  .action(clone);
+
+program
+  .command("list [selector]")
+  .description("List all saved servers, or those matching an @tag selector")
+  .option("-l, --long", "Show a table with target, key, tags and last connection")
+  .option("--json", "Print full entries as JSON (secrets are never included)")
+  .option("--filter <pattern>", "Only servers whose name or a tag matches (globs allowed, or @tag)")
+  .option("--source", "Show whether each server comes from the personal config or a project file")
   .action(list);
 
 program
@@ -32,8 +110,128 @@ program
   .description("Diagnose SSH configuration")
   .action(diagnose);
 
+program
+  .command("hostkey <name>")
+  .description("Show, accept or reset a server's host key")
+  .option("--show", "Compare recorded and current host key (default)")
+  .option("--accept", "Trust the server's current host key")
+  .option("--reset", "Forget the recorded host key")
+  .action(hostkey);
+
+program
+  .command("exec <name> <command...>")
+  .description("Run a command on a server: fastssh exec <name> -- <command...>")
+  .action((name, command) => exec(name, command, program.opts()));
+
+program
+  .command("run <command...>")
+  .description("Run a command on many servers: fastssh run --all -- <command...>")
+  .option("--all", "Run on every saved server")
+  .option("--servers <names>", "Comma-separated server names or @tag selectors")
+  .option("--tag <tag>", "Run on servers with this tag or group")
+  .option("-c, --concurrency <n>", "Servers to run on at once", "10")
+  .option("-t, --timeout <seconds>", "Per-server timeout", "60")
+  .option("--group", "Print each server's output together instead of prefixing lines")
+  .action(run);
+
+program
+  .command("push <args...>")
+  .description("Upload over SFTP: fastssh push <name> <local> <remote> (or <local> <name>:<remote>)")
+  .option("-r, --recursive", "Copy directories recursively")
+  .action(push);
+
+program
+  .command("pull <args...>")
+  .description("Download over SFTP: fastssh pull <name> <remote> <local> (or <name>:<remote> <local>)")
+  .option("-r, --recursive", "Copy directories recursively")
+  .action(pull);
+
+program
+  .command("tunnel <name> [saved]")
+  .description("Open port forwards through a server, or recall a saved tunnel")
+  .option("-L <spec>", "Local forward [bind:]port:host:hostport", collectForward)
+  .option("-R <spec>", "Remote forward [bind:]port:host:hostport", collectForward)
+  .option("-D <spec>", "SOCKS5 dynamic forward [bind:]port", collectForward)
+  .option("--save <label>", "Save these forwards on the server entry")
+  .action(tunnel);
+
+program
+  .command("tag <name> [action] [tags...]")
+  .description("Show, add or remove tags: fastssh tag <name|@selector> add|remove <tag...>")
+  .action(tag);
+
+program
+  .command("migrate <what>")
+  .description("Repair saved entries: fastssh migrate ports")
+  .action(migrate);
+
+const config = program
+  .command("config")
+  .description("Check or repair the fastssh config file, or change global settings");
+
+config
+  .command("check")
+  .description("Validate every saved server without changing anything")
+  .action(configCheck);
+
+config
+  .command("restore")
+  .description("Replace a broken config with the last good backup")
+  .action(configRestore);
+
+config
+  .command("get [key]")
+  .description("Show global settings such as keepaliveInterval")
+  .action(configGet);
+
+config
+  .command("set <key> <value>")
+  .description("Change a global setting (\"\" restores the default): fastssh config set keepaliveInterval 30")
+  .action(configSet);
+
+const profile = program
+  .command("profile")
+  .description("Switch between separate server inventories");
+
+profile
+  .command("list")
+  .description("List profiles (* marks the active one)")
+  .action(profileList);
+
+profile
+  .command("use <name>")
+  .description("Make a profile the default, creating it if needed")
+  .action(profileUse);
+
+program
+  .command("backup")
+  .description("Write servers and passphrases to an encrypted archive for another machine")
+  .option("-o, --out <file>", "Archive to write, e.g. fastssh.fsb")
+  .option("--include-keys", "Also include the private keys the servers use")
+  .action(backup);
+
+program
+  .command("restore <file>")
+  .description("Restore servers from an archive made by 'fastssh backup'")
+  .option("--on-conflict <action>", "For servers that already exist: skip, overwrite or rename")
+  .action(restore);
+
+program
+  .command("import <format> [path]")
+  .description("Import servers from ~/.ssh/config: fastssh import ssh-config [path]")
+  .option("--force", "Overwrite servers that are already saved")
+  .option("--dry-run", "Show what would be imported without saving")
+  .action(importSSHConfig);
+
+program
+  .command("export <format>")
+  .description("Export saved servers as OpenSSH config: fastssh export ssh-config")
+  .option("-o, --out <file>", "Write to a file instead of stdout")
+  .action(exportSSHConfig);
+
 program
   .argument("[name]")
-  .action(connect);
+  .argument("[command...]", "Run this command instead of opening a shell (after --)")
+  .action((name, command) => (command.length ? exec(name, command, program.opts()) : connect(name, program.opts())));
 
 program.parse();
@@ -0,0 +1,252 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import inquirer from "inquirer";
+import { exportServers, importServer, hasServer } from "../config/store.js";
+import { encryptArchive, decryptArchive } from "../utils/archive.js";
+import { safeWriteFile, safeReadFile } from "../utils/edge-cases.js";
+import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+
+const CONFLICT_ACTIONS = ["skip", "overwrite", "rename"];
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function expandHome(filePath) {
+  return filePath.startsWith("~") ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+/**
+ * FASTSSH_BACKUP_PASSPHRASE for scripts; otherwise prompted (twice when creating)
+ */
+async function resolvePassphrase(confirm) {
+  if (process.env.FASTSSH_BACKUP_PASSPHRASE) {
+    return process.env.FASTSSH_BACKUP_PASSPHRASE;
+  }
+
+  if (!process.stdin.isTTY) {
+    log.error("No terminal to ask for the backup passphrase: set FASTSSH_BACKUP_PASSPHRASE");
+    process.exit(EXIT.MISSING_INPUT);
+  }
+
+  const questions = [
+    {
+      name: "passphrase",
+      type: "password",
+      message: "Backup passphrase:",
+      validate: (input) => !confirm || input.length >= MIN_PASSPHRASE_LENGTH
+        || `Use at least ${MIN_PASSPHRASE_LENGTH} characters`
+    }
+  ];
+  if (confirm) {
+    questions.push({
+      name: "again",
+      type: "password",
+      message: "Repeat passphrase:",
+      validate: (input, answers) => input === answers.passphrase || "Passphrases do not match"
+    });
+  }
+
+  const { passphrase } = await inquirer.prompt(questions);
+  return passphrase;
+}
+
+/**
+ * Reads each referenced private key (and its .pub) once
+ */
+function collectKeys(servers) {
+  const keys = {};
+  for (const { entry } of servers) {
+    if (!entry.keyPath || keys[entry.keyPath]) continue;
+
+    const privateKey = safeReadFile(expandHome(entry.keyPath));
+    if (!privateKey.success) {
+      log.warn(`Key ${entry.keyPath} could not be read and is not included: ${privateKey.message}`);
+      continue;
+    }
+
+    const publicKey = safeReadFile(`${expandHome(entry.keyPath)}.pub`);
+    keys[entry.keyPath] = {
+      private: privateKey.content,
+      public: publicKey.success ? publicKey.content : null
+    };
+  }
+  return keys;
+}
+
+/**
+ * Writes servers, passphrases and optionally private keys to an encrypted
+ * archive: fastssh backup --out <file> [--include-keys]
+ */
+export async function backup(options = {}) {
+  if (!options.out) {
+    log.error("Provide the archive path. Usage: fastssh backup --out <file.fsb>");
+    process.exit(EXIT.USAGE);
+  }
+
+  const servers = await exportServers();
+  if (!servers.length) {
+    log.info("No servers saved; nothing to back up.");
+    return;
+  }
+
+  const passphrase = await resolvePassphrase(true);
+  const payload = {
+    created: new Date().toISOString(),
+    home: os.homedir(),
+    servers,
+    keys: options.includeKeys ? collectKeys(servers) : {}
+  };
+
+  const out = expandHome(options.out);
+  const result = safeWriteFile(out, encryptArchive(payload, passphrase), { atomic: true, mode: 0o600 });
+  if (!result.success) {
+    log.error(`Could not write ${out}: ${result.message}`);
+    process.exit(EXIT.FAILURE);
+  }
+
+  const keyCount = Object.keys(payload.keys).length;
+  log.success(`Backed up ${servers.length} server(s)${keyCount ? ` and ${keyCount} key(s)` : ""} to ${out}`);
+  if (!options.includeKeys) {
+    log.info("Private keys are not included; add --include-keys to carry them too.");
+  }
+  log.info(`On the new machine: fastssh restore ${options.out}`);
+}
+
+/**
+ * Key paths under the old home directory move to this one
+ */
+function relocateKeyPath(keyPath, oldHome) {
+  if (oldHome && keyPath.startsWith(`${oldHome}${path.sep}`)) {
+    return path.join(os.homedir(), keyPath.slice(oldHome.length + 1));
+  }
+  return keyPath;
+}
+
+/**
+ * Puts restored keys in place without overwriting different existing ones
+ * Returns a map from archived key path to the path entries should use.
+ */
+function restoreKeys(keys, oldHome) {
+  const paths = {};
+  for (const [archived, key] of Object.entries(keys)) {
+    let target = relocateKeyPath(archived, oldHome);
+    const existing = safeReadFile(expandHome(target));
+
+    if (existing.success && existing.content !== key.private) {
+      log.warn(`A different key already exists at ${target}; restoring to ${target}.restored`);
+      target = `${target}.restored`;
+    }
+
+    const file = expandHome(target);
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(file, key.private, { mode: 0o600, flag: "wx" });
+      if (key.public) {
+        fs.writeFileSync(`${file}.pub`, key.public, { mode: 0o644 });
+      }
+      log.info(`   key ${target}`);
+    }
+    paths[archived] = target;
+  }
+  return paths;
+}
+
+function freeName(name, taken) {
+  let candidate = `${name}-restored`;
+  for (let i = 2; hasServer(candidate) || taken.has(candidate); i++) {
+    candidate = `${name}-restored-${i}`;
+  }
+  return candidate;
+}
+
+async function chooseConflictAction(name, options) {
+  if (options.onConflict) return options.onConflict;
+  if (!process.stdin.isTTY) return "skip";
+
+  const { action } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "action",
+      message: `'${name}' already exists:`,
+      choices: [
+        { name: "Keep the current entry", value: "skip" },
+        { name: "Replace it with the backup", value: "overwrite" },
+        { name: "Restore the backup under a new name", value: "rename" }
+      ]
+    }
+  ]);
+  return action;
+}
+
+/**
+ * Restores an archive made by `fastssh backup`: fastssh restore <file>
+ * Existing servers are kept unless --on-conflict says otherwise.
+ */
+export async function restore(file, options = {}) {
+  if (options.onConflict && !CONFLICT_ACTIONS.includes(options.onConflict)) {
+    log.error(`--on-conflict must be one of: ${CONFLICT_ACTIONS.join(", ")}`);
+    process.exit(EXIT.USAGE);
+  }
+
+  const content = safeReadFile(expandHome(file));
+  if (!content.success) {
+    log.error(`Could not read ${file}: ${content.message}`);
+    process.exit(EXIT.FAILURE);
+  }
+
+  const passphrase = await resolvePassphrase(false);
+  const archive = decryptArchive(content.content, passphrase);
+  if (!archive.success) {
+    log.error(archive.message);
+    process.exit(EXIT.FAILURE);
+  }
+
+  const { payload } = archive;
+  log.info(`Backup from ${payload.created}: ${payload.servers.length} server(s)\n`);
+
+  const keyPaths = restoreKeys(payload.keys || {}, payload.home);
+
+  // Decide every name first so restored jump references follow renames
+  const plan = [];
+  const names = {};
+  const taken = new Set();
+  for (const server of payload.servers) {
+    let target = server.name;
+    if (hasServer(server.name)) {
+      const action = await chooseConflictAction(server.name, options);
+      if (action === "skip") {
+        log.info(`• ${server.name}: kept the current entry`);
+        continue;
+      }
+      if (action === "rename") {
+        target = freeName(server.name, taken);
+      }
+    }
+    taken.add(target);
+    names[server.name] = target;
+    plan.push({ ...server, target });
+  }
+
+  for (const { name, target, entry, secrets } of plan) {
+    const restored = { ...entry };
+    if (restored.keyPath) {
+      restored.keyPath = keyPaths[entry.keyPath] || relocateKeyPath(entry.keyPath, payload.home);
+    }
+    if (restored.jump && names[restored.jump]) {
+      restored.jump = names[restored.jump];
+    }
+
+    try {
+      await importServer(target, restored, secrets);
+    } catch (err) {
+      log.error(`• ${name}: not restored: ${err.message}`);
+      process.exitCode = EXIT.FAILURE;
+      continue;
+    }
+
+    log.success(target === name ? `• ${name}: restored` : `• ${name}: restored as '${target}'`);
+    if (restored.keyPath && !fs.existsSync(expandHome(restored.keyPath))) {
+      log.warn(`    Key ${restored.keyPath} is not on this machine (back up with --include-keys)`);
+    }
+  }
+}
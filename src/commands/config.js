@@ -0,0 +1,97 @@
+import fs from "node:fs";
+import { getConfigPath, restoreConfigBackup, getSettings, updateSettings } from "../config/store.js";
+import { parseConfig, CONFIG_VERSION, SETTINGS } from "../config/schema.js";
+import { KEEPALIVE_DEFAULTS, validateKeepalive } from "../utils/edge-cases.js";
+import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+
+/**
+ * Validates the config file without changing it: fastssh config check
+ */
+export function configCheck() {
+  const file = getConfigPath();
+  if (!fs.existsSync(file)) {
+    log.info(`No config yet at ${file}. Add a server with 'fastssh init <name>'.`);
+    return;
+  }
+
+  const result = parseConfig(fs.readFileSync(file, "utf8"));
+  if (!result.success) {
+    log.error(`${file} is unusable: ${result.message}`);
+    log.info("Restore the last good copy with: fastssh config restore");
+    process.exit(EXIT.CONFIG_INVALID);
+  }
+
+  const count = Object.keys(result.doc.servers).length;
+  if (result.migrated) {
+    log.info(`Schema will be upgraded to version ${CONFIG_VERSION} on the next command.`);
+  }
+
+  if (!result.issues.length) {
+    log.success(`${file} is valid (${count} server(s)).`);
+    return;
+  }
+
+  log.warn(`${file} loads, but has ${result.issues.length} problem(s):`);
+  result.issues.forEach(issue => log.warn(`   • ${issue}`));
+  process.exitCode = EXIT.CONFIG_INVALID;
+}
+
+/**
+ * Puts the last good copy back: fastssh config restore
+ */
+export function configRestore() {
+  const result = restoreConfigBackup();
+  if (!result.success) {
+    log.error(result.message);
+    process.exit(EXIT.FAILURE);
+  }
+
+  if (result.keptAs) {
+    log.info(`Previous file kept as ${result.keptAs}`);
+  }
+  log.success(`Restored ${getConfigPath()} from ${result.from} (${result.servers} server(s)).`);
+}
+
+function exitUnlessSetting(key) {
+  if (!SETTINGS.includes(key)) {
+    log.error(`Unknown setting '${key}'. Settings: ${SETTINGS.join(", ")}`);
+    process.exit(EXIT.USAGE);
+  }
+}
+
+/**
+ * Shows global settings and whether each is the default: fastssh config get [key]
+ */
+export function configGet(key) {
+  if (key) exitUnlessSetting(key);
+
+  const settings = getSettings();
+  for (const name of key ? [key] : SETTINGS) {
+    const value = settings[name] ?? KEEPALIVE_DEFAULTS[name];
+    log.info(`${name} = ${value}${settings[name] === undefined ? " (default)" : ""}`);
+  }
+}
+
+/**
+ * Changes a global setting; servers with their own value keep it:
+ * fastssh config set <key> <value>
+ */
+export function configSet(key, value) {
+  exitUnlessSetting(key);
+
+  if (value === "") {
+    updateSettings({ [key]: null });
+    log.success(`${key} reset to the default (${KEEPALIVE_DEFAULTS[key]}).`);
+    return;
+  }
+
+  const check = validateKeepalive(key, value);
+  if (!check.valid) {
+    log.error(check.error);
+    process.exit(EXIT.USAGE);
+  }
+
+  updateSettings({ [key]: check.value });
+  log.success(`${key} = ${check.value}`);
+}
@@ -1,6 +1,30 @@
 import { NodeSSH } from "node-ssh";
-import { getServer } from "../config/store.js";
+import inquirer from "inquirer";
+import {
+  getServer,
+  setHostKey,
+  touchServer,
+  listServerEntries,
+  getServerSource,
+  getProjectFile,
+  getSettings
+} from "../config/store.js";
 import { log } from "../utils/logger.js";
+import { createHostKeyCheck, warnHostKeyChanged, probeHostKey } from "../utils/hostkey.js";
+import { isSelector, selectServers } from "../utils/selector.js";
+import { createKeyboardInteractiveHandler } from "../utils/auth.js";
+import { getAgentPath } from "../utils/agent.js";
+import {
+  getPtyOptions,
+  getLocaleEnv,
+  forwardResize,
+  openShell,
+  enterRawMode,
+  createEscapeHandler,
+  ESCAPE_HELP
+} from "../utils/terminal.js";
+import { resolveKeepalive, retryWithBackoff } from "../utils/edge-cases.js";
+import { EXIT, toExitCode } from "../utils/exit-codes.js";
 import fs from "node:fs";
 import os from "node:os";
 
@@ -36,9 +60,9 @@ function validatePrivateKeyExists(keyPath, name) {
     log.info("   • The key was stored with a different name");
     
     log.info("\nHow to fix it:");
-    log.info("   Option 1: Copy the private key from the machine where you set it up");
-    log.info(`            scp user@original-machine:~/.ssh/id_rsa ~/.ssh/id_rsa`);
-    log.info(`            chmod 600 ~/.ssh/id_rsa`);
+    log.info("   Option 1: Bring your keys over from the machine where you set it up");
+    log.info("            fastssh backup --include-keys --out fastssh.fsb   (on that machine)");
+    log.info("            fastssh restore fastssh.fsb                       (on this one)");
     log.info("");
     log.info("   Option 2: Re-setup the server from this machine (generates new key pair)");
     log.info(`            fastssh init ${name}`);
@@ -50,75 +74,425 @@ function validatePrivateKeyExists(keyPath, name) {
   }
 }
 
-export async function connect(name) {
+/**
+ * Resolves a server name or `@tag` selector to one saved server name
+ * Several matches prompt for a choice on a terminal and fail otherwise
+ */
+export async function resolveServerName(nameOrSelector) {
+  if (!isSelector(nameOrSelector)) return nameOrSelector;
+
+  const matches = selectServers(listServerEntries(), nameOrSelector);
+  if (!matches.length) {
+    log.error(`No servers match '${nameOrSelector}'.`);
+    log.info("Use 'fastssh list --long' to see tags and groups.");
+    process.exit(EXIT.USAGE);
+  }
+
+  if (matches.length === 1) return matches[0];
+
+  if (!process.stdin.isTTY) {
+    log.error(`'${nameOrSelector}' matches ${matches.length} servers: ${matches.join(", ")}`);
+    log.info("Use a narrower selector or a server name.");
+    process.exit(EXIT.USAGE);
+  }
+
+  const { name } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "name",
+      message: `'${nameOrSelector}' matches ${matches.length} servers. Connect to:`,
+      choices: matches
+    }
+  ]);
+  return name;
+}
+
+/**
+ * Project servers are read-only here; changing one means making a personal copy
+ */
+export function ensurePersonalServer(name) {
+  if (getServerSource(name) !== "project") return;
+
+  log.error(`'${name}' comes from ${getProjectFile()} and cannot be changed here.`);
+  log.info(`Make a personal copy first: fastssh clone ${name} <new-name> --user <you>`);
+  log.info("Or edit the shared file itself.");
+  process.exit(EXIT.USAGE);
+}
+
+/**
+ * Loads a saved server and checks it is usable, exiting with help otherwise
+ */
+export async function loadServerOrExit(name) {
   validateServerName(name);
 
   const cfg = await getServer(name);
   validateServerConfig(cfg, name);
 
-  validatePrivateKeyExists(cfg.keyPath, name);
+  if (cfg.authType === "key") {
+    validatePrivateKeyExists(cfg.keyPath, name);
+  }
+  return cfg;
+}
 
-  log.info(`Connecting to ${cfg.user}@${cfg.host}:${cfg.port || 22}...`);
+/**
+ * Asks on the terminal during login; prompts go to stderr so command output stays clean
+ */
+async function askOnTerminal({ prompt, echo, instructions }) {
+  if (!process.stdin.isTTY) {
+    throw new Error(`The server asked '${prompt}' but there is no terminal to answer it`);
+  }
 
-  const ssh = new NodeSSH();
+  if (instructions) {
+    process.stderr.write(`${instructions}\n`);
+  }
+  const ask = inquirer.createPromptModule({ output: process.stderr });
+  const { answer } = await ask([{ name: "answer", type: echo ? "input" : "password", message: prompt }]);
+  return answer;
+}
 
+async function refusePrompt({ prompt }) {
+  throw new Error(`The server asked '${prompt}', which needs a terminal to answer`);
+}
+
+/**
+ * Adds the credentials for the entry's auth type to an ssh2 connect config
+ * With `prompts: false` (parallel runs share one terminal), a login that would
+ * have to ask for a password fails instead.
+ */
+async function applyAuth(connectConfig, name, cfg, options = {}) {
+  const needsPassword = cfg.authType === "password" || cfg.authType === "keyboard-interactive";
+  if (needsPassword && !cfg.password && options.prompts === false) {
+    throw new Error(`password not stored for '${name}'; run it on its own with: fastssh exec ${name} -- <command>`);
+  }
+
+  if (cfg.authType === "password") {
+    connectConfig.password = cfg.password || await askOnTerminal({
+      prompt: `Password for ${cfg.user}@${cfg.host}:`,
+      echo: false
+    });
+    return;
+  }
+
+  if (cfg.authType === "agent") {
+    connectConfig.agent = getAgentPath();
+    if (!connectConfig.agent) {
+      throw new Error("No SSH agent is running (SSH_AUTH_SOCK is not set)");
+    }
+    return;
+  }
+
+  if (cfg.authType === "keyboard-interactive") {
+    connectConfig.tryKeyboard = true;
+    connectConfig.onKeyboardInteractive = createKeyboardInteractiveHandler({
+      password: cfg.password,
+      ask: options.prompts === false ? refusePrompt : askOnTerminal
+    });
+    return;
+  }
+
+  // Read private key and pass as string content (not file path)
+  const expandedPath = cfg.keyPath.replace("~", os.homedir());
   try {
-    const connectConfig = {
-      host: cfg.host,
-      username: cfg.user,
-      port: cfg.port || 22,
-      readyTimeout: 20000
-    };
-
-    // Read private key and pass as string content (not file path)
-    const expandedPath = cfg.keyPath.replace("~", os.homedir());
-    try {
-      const keyContent = fs.readFileSync(expandedPath, 'utf-8');
-      connectConfig.privateKey = keyContent;
-      if (cfg.passphrase) {
-        connectConfig.passphrase = cfg.passphrase;
-      }
-    } catch (err) {
-      log.error(`Failed to read private key: ${err.message}`);
-      process.exit(1);
+    connectConfig.privateKey = fs.readFileSync(expandedPath, 'utf-8');
+  } catch (err) {
+    throw new Error(`Failed to read private key: ${err.message}`);
+  }
+  if (cfg.passphrase) {
+    connectConfig.passphrase = cfg.passphrase;
+  }
+}
+
+/**
+ * Opens a stream to host:port tunnelled through a saved jump server
+ * The jump server may itself use a jump server; `chain` guards against loops.
+ * `options.prompts` is passed on to every hop.
+ * Returns the stream (to pass as `sock`) and the hop connection to dispose.
+ */
+export async function openJumpSocket(jumpName, host, port, chain = [], options = {}) {
+  if (chain.includes(jumpName)) {
+    throw new Error(`Jump host loop: ${[...chain, jumpName].join(" → ")}`);
+  }
+
+  const jumpCfg = await getServer(jumpName);
+  if (!jumpCfg) {
+    throw new Error(`Jump server '${jumpName}' not found`);
+  }
+
+  const hop = await openConnection(jumpName, jumpCfg, { quiet: true, prompts: options.prompts, chain: [...chain, jumpName] });
+
+  try {
+    const sock = await new Promise((resolve, reject) => {
+      hop.connection.forwardOut("127.0.0.1", 0, host, port, (err, stream) => {
+        if (err) reject(new Error(`Jump server '${jumpName}' could not reach ${host}:${port}: ${err.message}`));
+        else resolve(stream);
+      });
+    });
+    return { sock, hop };
+  } catch (err) {
+    hop.dispose();
+    throw err;
+  }
+}
+
+/**
+ * Fetches a saved server's current host key, going through its jump server if any
+ */
+export async function probeServerHostKey(name, cfg) {
+  if (!cfg.jump) {
+    return probeHostKey(cfg);
+  }
+
+  const { sock, hop } = await openJumpSocket(cfg.jump, cfg.host, cfg.port || 22, [name]);
+  try {
+    return await probeHostKey(cfg, sock);
+  } finally {
+    hop.dispose();
+  }
+}
+
+/**
+ * Opens an authenticated SSH connection to a saved server
+ * Throws on failure; the error carries `hostCheck` and `serverName` when a
+ * host key (of the server or one of its jump servers) changed.
+ * With `quiet`, notices go to stderr so stdout stays clean for command output.
+ * With `forwardAgent`, sessions on the connection can use the local agent (ssh -A).
+ * With `prompts: false`, logins that would ask on the terminal fail instead.
+ * Keepalive probes make a dead link end the connection instead of hanging it.
+ */
+export async function openConnection(name, cfg, options = {}) {
+  const ssh = new NodeSSH();
+  const hostCheck = createHostKeyCheck(cfg.hostKey);
+  const keepalive = resolveKeepalive(cfg, getSettings());
+
+  const connectConfig = {
+    host: cfg.host,
+    username: cfg.user,
+    port: cfg.port || 22,
+    readyTimeout: options.readyTimeout || 20000,
+    keepaliveInterval: keepalive.keepaliveInterval * 1000,
+    keepaliveCountMax: keepalive.keepaliveCountMax,
+    hostVerifier: hostCheck.verifier
+  };
+
+  await applyAuth(connectConfig, name, cfg, options);
+
+  if (options.forwardAgent) {
+    connectConfig.agent ??= getAgentPath();
+    if (!connectConfig.agent) {
+      throw new Error("Cannot forward the SSH agent: SSH_AUTH_SOCK is not set");
     }
+    connectConfig.agentForward = true;
+  }
 
+  let hop = null;
+  if (cfg.jump) {
+    const jump = await openJumpSocket(cfg.jump, connectConfig.host, connectConfig.port, options.chain || [name], {
+      prompts: options.prompts
+    });
+    connectConfig.sock = jump.sock;
+    hop = jump.hop;
+  }
+
+  try {
     await ssh.connect(connectConfig);
+  } catch (err) {
+    ssh.dispose();
+    hop?.dispose();
+    if (hostCheck.mismatch) {
+      err.hostCheck = hostCheck;
+      err.serverName = name;
+    }
+    throw err;
+  }
 
-    log.success("Connected! Starting interactive session...\n");
+  if (hop) {
+    ssh.connection.on("close", () => hop.dispose());
+  }
 
-    if (process.stdin.isTTY) {
-      process.stdin.setRawMode(true);
+  // Jump hops are infrastructure; only the target counts as "connected"
+  if (!options.chain) {
+    touchServer(name);
+  }
+
+  // Trust on first use for entries saved before host keys were recorded
+  if (!cfg.hostKey) {
+    setHostKey(name, hostCheck.seen);
+    const notice = `Recorded host key for '${name}': ${hostCheck.seen}`;
+    if (options.quiet) {
+      process.stderr.write(`${notice}\n`);
+    } else {
+      log.info(notice);
     }
+  }
 
-    const shell = await ssh.requestShell();
-    
-    shell.pipe(process.stdout);
-    process.stdin.pipe(shell);
+  return ssh;
+}
+
+/**
+ * Explains a failed connection attempt and exits
+ */
+export function exitWithConnectionError(err, name, cfg) {
+  if (err.hostCheck) {
+    // The changed key may belong to a jump server rather than the target
+    warnHostKeyChanged(err.serverName || name, err.hostCheck);
+    process.exit(EXIT.HOST_KEY_CHANGED);
+  }
+  if (cfg.port === undefined && /econnrefused|timeout|timed out/i.test(String(err?.message))) {
+    log.warn(`'${name}' was saved without a port, so 22 was tried.`);
+    log.info("If the server listens on another port, run: fastssh migrate ports");
+  }
+  handleConnectionError(err, name, cfg.authType, cfg.keyPath);
+}
+
+/**
+ * How long --reconnect keeps trying: waits of 1s, 2s, 4s ... about two minutes in all
+ */
+const RECONNECT_BACKOFF = { maxRetries: 8, initialDelay: 1000 };
+
+/**
+ * Opens a connection and an interactive shell on it
+ */
+async function openSession(name, cfg, options) {
+  const ssh = await openConnection(name, cfg, { forwardAgent: options.forwardAgent });
+  try {
+    // Full-screen programs need the real TERM and size, and must follow resizes
+    const shell = await openShell(ssh.connection, { window: getPtyOptions(), env: getLocaleEnv() });
+    return { ssh, shell };
+  } catch (err) {
+    ssh.dispose();
+    throw err;
+  }
+}
+
+export async function connect(selector, options = {}) {
+  const name = await resolveServerName(selector);
+  const cfg = await loadServerOrExit(name);
+
+  const via = cfg.jump ? ` via ${cfg.jump}` : "";
+  log.info(`Connecting to ${cfg.user}@${cfg.host}:${cfg.port || 22}${via}...`);
+
+  let session;
+  try {
+    session = await openSession(name, cfg, options);
+  } catch (err) {
+    exitWithConnectionError(err, name, cfg);
+  }
+
+  log.success("Connected! Starting interactive session...\n");
+  runInteractiveSession(name, cfg, session, options);
+}
+
+/**
+ * Wires the local terminal to a remote shell until it ends
+ * The local exit code mirrors the remote shell's status (255 when the
+ * connection ends without one), and the terminal is restored on every path.
+ * With `reconnect`, a dropped link opens a new session instead of exiting.
+ */
+function runInteractiveSession(name, cfg, session, options = {}) {
+  const restoreTerminal = enterRawMode(process.stdin);
+  // Last resort for exits that bypass finish(), e.g. an uncaught exception
+  process.on("exit", restoreTerminal);
+
+  // The live session; null while reconnecting, when typed input is dropped
+  let current = null;
+
+  const detach = () => {
+    if (!current) return;
+    current.stopResize();
+    current.ssh.dispose();
+    current = null;
+  };
 
-    shell.on('close', () => {
-      if (process.stdin.isTTY) {
-        process.stdin.setRawMode(false);
+  const finish = (code) => {
+    detach();
+    restoreTerminal();
+    process.exit(code);
+  };
+
+  const reconnect = async () => {
+    let failure = null;
+    const result = await retryWithBackoff(() => openSession(name, cfg, options), {
+      ...RECONNECT_BACKOFF,
+      shouldRetry: (err) => {
+        failure = err;
+        return !err.hostCheck;
+      },
+      onRetry: (err, attempt, delay) => {
+        process.stderr.write(`fastssh: attempt ${attempt} failed (${err.message}); retrying in ${delay / 1000}s\r\n`);
       }
-      ssh.dispose();
-      process.exit(0);
     });
 
-    process.on('SIGINT', () => {
-      shell.end();
-      if (process.stdin.isTTY) {
-        process.stdin.setRawMode(false);
+    if (result.success === false) {
+      restoreTerminal();
+      process.stderr.write(`fastssh: could not reconnect to ${cfg.host}: ${result.error}\n`);
+      if (failure?.hostCheck) {
+        warnHostKeyChanged(failure.serverName || name, failure.hostCheck);
+        finish(EXIT.HOST_KEY_CHANGED);
       }
-      ssh.dispose();
-      process.exit(0);
+      finish(255);
+    }
+
+    process.stderr.write(`fastssh: reconnected to ${cfg.host}. This is a new shell; the previous one has ended.\r\n`);
+    attach(result);
+  };
+
+  const linkLost = (err) => {
+    detach();
+    const reason = err ? `: ${err.message}` : "";
+    if (!options.reconnect) {
+      process.stderr.write(`\r\nfastssh: connection to ${cfg.host} lost${reason}\r\n`);
+      finish(255);
+    }
+    process.stderr.write(`\r\nfastssh: connection to ${cfg.host} lost${reason}; reconnecting (~. to give up)...\r\n`);
+    reconnect();
+  };
+
+  function attach({ ssh, shell }) {
+    const stopResize = process.stdout.isTTY ? forwardResize(process.stdout, shell) : () => {};
+    current = { ssh, shell, stopResize };
+
+    shell.pipe(process.stdout, { end: false });
+    shell.stderr.pipe(process.stderr, { end: false });
+
+    let status = null;
+    shell.on("exit", (code, signal) => {
+      status = { code, signal };
+    });
+    shell.on("close", () => {
+      if (current?.shell !== shell) return;
+      // A shell that ends without reporting a status went down with the link
+      if (status) finish(toExitCode(status.code, status.signal));
+      else linkLost(null);
     });
 
-  } catch (err) {
-    handleConnectionError(err, name, authType);
+    ssh.connection.on("error", (err) => {
+      if (current?.ssh === ssh) linkLost(err);
+    });
+  }
+
+  const escapes = createEscapeHandler({
+    onDisconnect: () => {
+      process.stderr.write(`\r\nConnection to ${cfg.host} closed.\r\n`);
+      finish(255);
+    },
+    onHelp: () => process.stderr.write(ESCAPE_HELP)
+  });
+
+  process.stdin.on("data", (chunk) => {
+    const data = escapes(chunk);
+    if (data.length && current) current.shell.write(data);
+  });
+  process.stdin.on("end", () => current?.shell.end());
+
+  // In raw mode Ctrl-C is input for the remote side; these only fire without a terminal
+  for (const signal of ["SIGINT", "SIGTERM", "SIGHUP"]) {
+    process.on(signal, () => finish(128 + os.constants.signals[signal]));
   }
+
+  attach(session);
 }
 
-function handleConnectionError(err, name, authType) {
+function handleConnectionError(err, name, authType, keyPath) {
   const errorMsg = String(err?.message || "").toLowerCase();
   
   log.error("\nConnection failed!");
@@ -137,8 +511,15 @@ function handleConnectionError(err, name, authType) {
       log.info("   • Verify the private key on THIS machine matches server's public key");
       log.info("   • Ensure server has PubkeyAuthentication enabled in SSH config");
       log.info("   • Check that your public key is in ~/.ssh/authorized_keys on server");
-      log.info("   • Run: ssh-keygen -l -f ~/.ssh/id_rsa to see key fingerprint");
+      log.info(`   • Run: ssh-keygen -l -f ${keyPath} to see key fingerprint`);
       log.info("\n   Try re-setup: fastssh init " + name);
+    } else if (authType === "agent") {
+      log.info("\nFor SSH agent authentication:");
+      log.info("   • Run 'ssh-add -l' and check the key installed on the server is listed");
+      log.info("   • Run 'fastssh diagnose " + name + "' to see the agent's identities");
+    } else if (authType) {
+      log.info(`\nThe stored password for '${name}' may be out of date.`);
+      log.info(`   Replace it with: fastssh init ${name} --force --auth ${authType}`);
     }
   } else {
     log.error(`  ${err.message}`);
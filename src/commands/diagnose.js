@@ -1,8 +1,15 @@
 import fs from "node:fs";
 import path from "node:path";
 import os from "node:os";
-import { getServer, listServers } from "../config/store.js";
+import { getServer, listServers, getConfigPath, getSettings } from "../config/store.js";
+import { getActiveProfile } from "../config/paths.js";
+import { describeSecretsBackend, getVaultPath } from "../config/secrets.js";
+import { getAgentPath, listAgentIdentities } from "../utils/agent.js";
 import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+import { warnHostKeyChanged } from "../utils/hostkey.js";
+import { probeServerHostKey, resolveServerName } from "./connect.js";
+import { SSH_KEY_TYPES, validateKeyFormat, resolveKeepalive } from "../utils/edge-cases.js";
 
 function checkFilePermissions(filePath, expectedMode) {
   if (!fs.existsSync(filePath)) {
@@ -13,8 +20,26 @@ function checkFilePermissions(filePath, expectedMode) {
   return { mode, isCorrect: mode === expectedMode };
 }
 
-async function checkServerConfig(serverName) {
-  const serverCfg = await getServer(serverName);
+function reportKeyFile(keyPath) {
+  const privKeyPerms = checkFilePermissions(keyPath, "600");
+  if (!privKeyPerms) {
+    return false;
+  }
+
+  const format = validateKeyFormat(fs.readFileSync(keyPath, "utf-8"));
+  const label = format.valid ? SSH_KEY_TYPES[format.type].label : "unrecognized format";
+  log.info(`   Private key found: ${keyPath} (${label})`);
+  log.info(`      Permissions: ${privKeyPerms.mode} ${privKeyPerms.isCorrect ? "(correct)" : "(should be 600)"}`);
+
+  if (fs.existsSync(`${keyPath}.pub`)) {
+    log.info(`      Public key found: ${keyPath}.pub`);
+  } else {
+    log.info(`      Public key NOT found: ${keyPath}.pub`);
+  }
+  return true;
+}
+
+function checkServerConfig(serverName, serverCfg) {
   if (!serverCfg) {
     log.error(`\n Server '${serverName}' not found.`);
     const servers = listServers();
@@ -29,33 +54,60 @@ async function checkServerConfig(serverName) {
   return serverCfg;
 }
 
-export async function diagnose(serverName) {
+async function describeJumpChain(serverName) {
+  const chain = [serverName];
+  let current = await getServer(serverName);
+  while (current?.jump) {
+    if (chain.includes(current.jump)) {
+      return `${[...chain, current.jump].reverse().join(" → ")} (LOOP, fix the 'jump' fields)`;
+    }
+    chain.push(current.jump);
+    current = await getServer(current.jump);
+    if (!current) {
+      return `${chain.slice().reverse().join(" → ")} (jump server '${chain.at(-1)}' NOT found)`;
+    }
+  }
+  return chain.reverse().join(" → ");
+}
+
+export async function diagnose(selector) {
+  const serverName = selector ? await resolveServerName(selector) : undefined;
   log.info("\nFastSSH Diagnostic Report");
   log.info("════════════════════════════════════════════════════════\n");
 
   log.info("This report shows:");
-  log.info("   • Whether your RSA private/public key files exist");
+  log.info("   • Which RSA, Ed25519 and ECDSA private/public key files exist");
   log.info("   • Permissions on your key files and ~/.ssh directory");
+  log.info("   • Which keys your SSH agent offers");
   log.info("   • Which server name you asked to check (if provided)");
   log.info("");
+  log.info(`Config:  ${getConfigPath()} (profile: ${getActiveProfile()})`);
+  const secrets = await describeSecretsBackend();
+  if (secrets.error) {
+    log.warn(`Secrets: unavailable (${secrets.reason})`);
+  } else {
+    const where = secrets.name === "file" ? ` at ${getVaultPath()}` : "";
+    log.info(`Secrets: ${secrets.name}${where} (${secrets.reason})`);
+  }
+  log.info("");
 
-  // 1. Check SSH key files (RSA only)
-  log.info("1. SSH Key Files (RSA):");
-  const keyPath = path.join(os.homedir(), ".ssh/id_rsa");
-  const pubKeyPath = `${keyPath}.pub`;
+  const serverCfg = serverName ? await getServer(serverName) : null;
 
-  const privKeyPerms = checkFilePermissions(keyPath, "600");
-  if (privKeyPerms) {
-    log.info(`   Private key found: ${keyPath}`);
-    log.info(`      Permissions: ${privKeyPerms.mode} ${privKeyPerms.isCorrect ? "(correct)" : "(should be 600)"}`);
-  } else {
-    log.info(`   Private key NOT found: ${keyPath}`);
+  // 1. Check SSH key files (default locations plus the server's own key)
+  log.info("1. SSH Key Files:");
+  const keyPaths = Object.values(SSH_KEY_TYPES).map(t => t.defaultPath);
+  if (serverCfg?.keyPath && !keyPaths.includes(serverCfg.keyPath)) {
+    keyPaths.push(serverCfg.keyPath);
   }
 
-  if (fs.existsSync(pubKeyPath)) {
-    log.info(`    Public key found: ${pubKeyPath}`);
-  } else {
-    log.info(`    Public key NOT found: ${pubKeyPath}`);
+  let foundAny = false;
+  for (const configuredPath of keyPaths) {
+    if (reportKeyFile(configuredPath.replace("~", os.homedir()))) {
+      foundAny = true;
+    }
+  }
+  if (!foundAny) {
+    log.info("   No SSH private keys found. Run 'fastssh init <name>' to generate one.");
   }
 
   // 2. Check SSH directory
@@ -69,18 +121,96 @@ export async function diagnose(serverName) {
     log.info(`    ~/.ssh directory does NOT exist`);
   }
 
-  // 3. Check config settings
+  // 3. Check the SSH agent
+  log.info("\n3. SSH Agent:");
+  const agentPath = getAgentPath();
+  let identities = [];
+  if (!agentPath) {
+    log.info("    No agent running (SSH_AUTH_SOCK is not set)");
+  } else {
+    try {
+      identities = await listAgentIdentities(agentPath);
+      log.info(`    Agent: ${agentPath}`);
+      if (!identities.length) {
+        log.info("    No usable identities. Add one with: ssh-add <key>");
+      }
+      identities.forEach(identity => log.info(`    • ${identity.comment || "(no comment)"}  ${identity.type}  ${identity.fingerprint}`));
+    } catch (err) {
+      log.warn(`    ${err.message}`);
+    }
+  }
+
+  // 4. Check config settings
   if (serverName) {
-    const serverCfg = await checkServerConfig(serverName);
-    if (!serverCfg) {
+    if (!checkServerConfig(serverName, serverCfg)) {
       log.info("\n════════════════════════════════════════════════════════\n");
       return;
     }
 
-    log.info(`\n3. Server: ${serverName}`);
+    log.info(`\n4. Server: ${serverName}`);
     log.info(`   Host: ${serverCfg.host}`);
     log.info(`   User: ${serverCfg.user}`);
-    log.info("   Auth: SSH key (RSA)");
+    if (serverCfg.port === undefined) {
+      log.info("   Port: 22 (not stored; saved before ports were kept — run 'fastssh migrate ports')");
+    } else {
+      log.info(`   Port: ${serverCfg.port}`);
+    }
+    if (serverCfg.authType === "key") {
+      const keyLabel = SSH_KEY_TYPES[serverCfg.keyType || "rsa"]?.label || serverCfg.keyType;
+      log.info(`   Auth: SSH key (${keyLabel})`);
+      log.info(`   Key:  ${serverCfg.keyPath}`);
+    } else if (serverCfg.authType === "agent") {
+      const loaded = identities.some(identity => identity.fingerprint === serverCfg.agentIdentity);
+      log.info("   Auth: SSH agent");
+      if (serverCfg.agentIdentity) {
+        log.info(`   Key:  ${serverCfg.agentIdentity} ${loaded ? "(loaded in agent)" : "(NOT in the agent; run ssh-add)"}`);
+      }
+    } else {
+      const stored = serverCfg.password ? "stored" : "not stored, asked on connect";
+      log.info(`   Auth: ${serverCfg.authType} (password ${stored})`);
+    }
+    if (serverCfg.jump) {
+      log.info(`   Jump: ${await describeJumpChain(serverName)}`);
+    }
+    if (serverCfg.group) {
+      log.info(`   Group: ${serverCfg.group}`);
+    }
+    if (serverCfg.tags?.length) {
+      log.info(`   Tags: ${serverCfg.tags.join(", ")}`);
+    }
+    const keepalive = resolveKeepalive(serverCfg, getSettings());
+    if (keepalive.keepaliveInterval) {
+      const dead = keepalive.keepaliveInterval * keepalive.keepaliveCountMax;
+      log.info(`   Keepalive: every ${keepalive.keepaliveInterval}s, link dropped after ~${dead}s without reply`);
+    } else {
+      log.info("   Keepalive: off");
+    }
+
+    // 5. Check host key against the recorded fingerprint
+    log.info("\n5. Host Key:");
+    log.info(`   Recorded: ${serverCfg.hostKey || "(none yet, recorded on next connect)"}`);
+    try {
+      const current = await probeServerHostKey(serverName, serverCfg);
+      log.info(`   Current:  ${current}`);
+      if (serverCfg.hostKey && current !== serverCfg.hostKey) {
+        log.error("\n   WARNING: REMOTE HOST IDENTIFICATION HAS CHANGED!");
+        log.error("   Possible man-in-the-middle attack, or the server key was rotated.");
+        log.info(`   Compare fingerprints, then run: fastssh hostkey ${serverName} --accept`);
+        log.info("\n════════════════════════════════════════════════════════\n");
+        process.exit(EXIT.HOST_KEY_CHANGED);
+      }
+      if (serverCfg.hostKey) {
+        log.info("   Host key matches (correct)");
+      }
+    } catch (err) {
+      // A jump server on the way presented a different key
+      if (err.hostCheck) {
+        warnHostKeyChanged(err.serverName, err.hostCheck);
+        log.info("\n════════════════════════════════════════════════════════\n");
+        process.exit(EXIT.HOST_KEY_CHANGED);
+      }
+      log.warn(`   Could not reach server to check host key: ${err.message}`);
+    }
   }
 
   log.info("\n════════════════════════════════════════════════════════\n");
@@ -0,0 +1,231 @@
+import inquirer from "inquirer";
+import fs from "node:fs";
+import os from "node:os";
+import { getServer, hasServer, listServerEntries, findServerByHostUser, updateServer } from "../config/store.js";
+import { resolveServerName, ensurePersonalServer } from "./connect.js";
+import { testSSHKeyAuthentication } from "./init.js";
+import { createHostKeyCheck } from "../utils/hostkey.js";
+import {
+  detectKeyType,
+  validateHostname,
+  validateUsername,
+  validatePort,
+  validateTag,
+  validateKeepalive
+} from "../utils/edge-cases.js";
+import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+
+const KEEPALIVE_FIELDS = ["keepaliveInterval", "keepaliveCountMax"];
+const EDIT_FLAGS = ["host", "user", "port", "key", "jump", "tag", "group", "description", ...KEEPALIVE_FIELDS];
+const FIELDS = ["host", "user", "port", "keyPath", "keyType", "jump", "tags", "group", "description", ...KEEPALIVE_FIELDS];
+
+function exitWithUsage(message) {
+  log.error(message);
+  process.exit(EXIT.USAGE);
+}
+
+function checkOrExit(check) {
+  if (!check.valid) exitWithUsage(check.error);
+  return check;
+}
+
+/**
+ * Follows the jump chain from `jump` and reports whether it leads back to `name`
+ */
+function createsJumpLoop(name, jump) {
+  const saved = Object.fromEntries(listServerEntries().map(entry => [entry.name, entry]));
+  const seen = new Set();
+  for (let current = jump; current; current = saved[current]?.jump) {
+    if (current === name) return true;
+    if (seen.has(current)) return false;
+    seen.add(current);
+  }
+  return false;
+}
+
+function validateJumpChange(name, jump) {
+  if (jump === name) exitWithUsage("A server cannot be its own jump server.");
+  if (!hasServer(jump)) exitWithUsage(`Jump server '${jump}' not found. Add it first with: fastssh init ${jump}`);
+  if (createsJumpLoop(name, jump)) exitWithUsage(`'${jump}' already reaches '${name}' through its jump chain.`);
+}
+
+/**
+ * Validates requested values and converts them to entry fields
+ * Empty strings (and --no-jump) clear optional fields, stored as `null`
+ */
+export function validateChanges(name, input) {
+  const changes = {};
+
+  if (input.host !== undefined) {
+    checkOrExit(validateHostname(input.host));
+    changes.host = input.host;
+  }
+
+  if (input.user !== undefined) {
+    checkOrExit(validateUsername(input.user));
+    changes.user = input.user;
+  }
+
+  if (input.port !== undefined) {
+    changes.port = checkOrExit(validatePort(input.port)).port;
+  }
+
+  // A blank key answer keeps the current key
+  if (input.key !== undefined && input.key !== "") {
+    const expandedPath = input.key.replace("~", os.homedir());
+    if (!fs.existsSync(expandedPath)) {
+      exitWithUsage(`Key not found at ${input.key}. Install its public key on the server, or run 'fastssh init ${name} --force --key ${input.key}'.`);
+    }
+    const keyType = detectKeyType(fs.readFileSync(expandedPath, "utf-8"));
+    if (!keyType) exitWithUsage(`Unrecognized key at ${input.key}.`);
+    changes.keyPath = input.key;
+    changes.keyType = keyType;
+  }
+
+  if (input.jump !== undefined) {
+    if (input.jump) validateJumpChange(name, input.jump);
+    changes.jump = input.jump || null;
+  }
+
+  if (input.tag !== undefined) {
+    const tags = [].concat(input.tag).flatMap(t => t.split(",")).map(t => t.trim()).filter(Boolean);
+    tags.forEach(t => checkOrExit(validateTag(t)));
+    changes.tags = tags.length ? [...new Set(tags)] : null;
+  }
+
+  if (input.group !== undefined) {
+    if (input.group) checkOrExit(validateTag(input.group));
+    changes.group = input.group || null;
+  }
+
+  if (input.description !== undefined) {
+    changes.description = input.description.trim() || null;
+  }
+
+  // Empty clears the server's own value, so the global setting applies again
+  for (const field of KEEPALIVE_FIELDS) {
+    if (input[field] === undefined) continue;
+    changes[field] = input[field] === "" ? null : checkOrExit(validateKeepalive(field, input[field])).value;
+  }
+
+  return changes;
+}
+
+/**
+ * Prompts for interactive edit, prefilled from the entry
+ * Only key servers are asked for a key; password and agent servers have none.
+ */
+export function editQuestions(cfg) {
+  const required = (check) => (input) => check(input).valid || check(input).error;
+
+  return [
+    { name: "host", message: "IP:", default: cfg.host, validate: required(validateHostname) },
+    { name: "user", message: "User:", default: cfg.user, validate: required(validateUsername) },
+    { name: "port", message: "SSH Port:", default: cfg.port || 22, validate: required(validatePort) },
+    ...((cfg.authType || "key") === "key" ? [{ name: "key", message: "Private key:", default: cfg.keyPath }] : []),
+    { name: "jump", message: "Jump server (blank for none):", default: cfg.jump || "" },
+    { name: "tag", message: "Tags, comma separated (blank for none):", default: (cfg.tags || []).join(",") },
+    { name: "group", message: "Group (blank for none):", default: cfg.group || "" },
+    { name: "description", message: "Description (blank for none):", default: cfg.description || "" }
+  ];
+}
+
+async function promptChanges(cfg) {
+  const answers = await inquirer.prompt(editQuestions(cfg));
+  return { ...answers, port: String(answers.port) };
+}
+
+/**
+ * Keeps only the fields whose value actually changes
+ */
+export function diffChanges(cfg, changes) {
+  const current = { ...cfg, port: cfg.port || 22 };
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  const diff = Object.fromEntries(
+    Object.entries(changes).filter(([key, value]) => FIELDS.includes(key) && !same(current[key], value))
+  );
+  if (!("keyPath" in diff)) delete diff.keyType;
+  return diff;
+}
+
+function describeValue(value) {
+  if (value === null || value === undefined) return "(none)";
+  return Array.isArray(value) ? value.join(", ") : String(value);
+}
+
+async function shouldRetest(interactive, options) {
+  if (!interactive) return Boolean(options.test);
+
+  const { retest } = await inquirer.prompt([
+    {
+      name: "retest",
+      type: "confirm",
+      message: "Test SSH key authentication with the new settings?",
+      default: true
+    }
+  ]);
+  return retest;
+}
+
+/**
+ * Changes a saved server in place: fastssh edit <name> [--host/--user/--port ...]
+ * Without flags, prompts are prefilled from the current entry.
+ */
+export async function edit(selector, options = {}) {
+  const name = await resolveServerName(selector);
+  const cfg = await getServer(name);
+  if (!cfg) {
+    log.error(`Server '${name}' not found.`);
+    process.exit(EXIT.FAILURE);
+  }
+  ensurePersonalServer(name);
+
+  const interactive = !EDIT_FLAGS.some(flag => options[flag] !== undefined);
+  const input = interactive ? await promptChanges(cfg) : options;
+  const changes = diffChanges(cfg, validateChanges(name, input));
+
+  if (!Object.keys(changes).length) {
+    log.info("No changes.");
+    return;
+  }
+
+  const next = { ...cfg, ...changes };
+  if (changes.host || changes.user) {
+    const existing = findServerByHostUser(next.host, next.user);
+    if (existing && existing !== name) {
+      log.error(`${next.user}@${next.host} is already saved as '${existing}'.`);
+      process.exit(EXIT.DUPLICATE_SERVER);
+    }
+  }
+
+  // A different host or port is a different machine; its key is learned again
+  const targetChanged = Boolean(changes.host || changes.port);
+  if (targetChanged && cfg.hostKey) {
+    changes.hostKey = null;
+  }
+
+  if (cfg.authType !== "key" && options.test) {
+    log.info(`--test checks key logins only; try the new settings with: fastssh exec ${name} -- true`);
+  } else if (cfg.authType === "key" && await shouldRetest(interactive, options)) {
+    const hostCheck = createHostKeyCheck(targetChanged ? null : cfg.hostKey);
+    await testSSHKeyAuthentication(
+      { host: next.host, user: next.user, port: next.port || 22, jump: next.jump },
+      { name, keyPath: next.keyPath, keyType: next.keyType || "rsa", passphrase: cfg.passphrase },
+      hostCheck
+    );
+    if (targetChanged || !cfg.hostKey) {
+      changes.hostKey = hostCheck.seen;
+    }
+  }
+
+  updateServer(name, changes);
+
+  log.success(`Updated '${name}':`);
+  for (const key of FIELDS.filter(field => field in changes)) {
+    log.info(`   ${key}: ${describeValue(cfg[key])} → ${describeValue(changes[key])}`);
+  }
+  if (changes.hostKey === null) {
+    log.info("   Host key cleared; it will be recorded on next connect.");
+  }
+}
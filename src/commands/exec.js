@@ -0,0 +1,42 @@
+import { resolveServerName, loadServerOrExit, openConnection, exitWithConnectionError } from "./connect.js";
+import { log } from "../utils/logger.js";
+import { toExitCode } from "../utils/exit-codes.js";
+
+/**
+ * Runs one command on a saved server without an interactive shell
+ * stdout/stderr are streamed as they arrive and stdin is forwarded
+ */
+export async function exec(selector, commandArgs = [], options = {}) {
+  if (!commandArgs.length) {
+    log.error("Provide a command. Usage: fastssh exec <name> -- <command...>");
+    process.exit(1);
+  }
+
+  const name = await resolveServerName(selector);
+  const cfg = await loadServerOrExit(name);
+  // Arguments are joined like OpenSSH does: the remote shell parses them
+  const command = commandArgs.join(" ");
+
+  let ssh;
+  try {
+    ssh = await openConnection(name, cfg, { quiet: true, forwardAgent: options.forwardAgent });
+  } catch (err) {
+    exitWithConnectionError(err, name, cfg);
+  }
+
+  try {
+    const result = await ssh.execCommand(command, {
+      stdin: process.stdin,
+      noTrim: true,
+      onStdout: chunk => process.stdout.write(chunk),
+      onStderr: chunk => process.stderr.write(chunk)
+    });
+
+    ssh.dispose();
+    process.exit(toExitCode(result.code, result.signal));
+  } catch (err) {
+    ssh.dispose();
+    process.stderr.write(`fastssh: ${err.message}\n`);
+    process.exit(255);
+  }
+}
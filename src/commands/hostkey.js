@@ -0,0 +1,53 @@
+import { getServer, setHostKey } from "../config/store.js";
+import { probeServerHostKey, resolveServerName } from "./connect.js";
+import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+
+async function fetchCurrentHostKey(name, cfg) {
+  try {
+    return await probeServerHostKey(name, cfg);
+  } catch (err) {
+    log.error(`Could not fetch host key from ${cfg.host}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+export async function hostkey(selector, options = {}) {
+  const name = await resolveServerName(selector);
+  const cfg = await getServer(name);
+  if (!cfg) {
+    log.error(`Server '${name}' not found.`);
+    process.exit(1);
+  }
+
+  if (options.reset) {
+    setHostKey(name, null);
+    log.success(`Host key for '${name}' cleared. It will be recorded on next connect.`);
+    return;
+  }
+
+  if (options.accept) {
+    const current = await fetchCurrentHostKey(name, cfg);
+    if (current === cfg.hostKey) {
+      log.info(`Host key for '${name}' is unchanged: ${current}`);
+      return;
+    }
+    setHostKey(name, current);
+    log.success(`Trusted new host key for '${name}': ${current}`);
+    return;
+  }
+
+  // Default: --show
+  log.info(`Recorded: ${cfg.hostKey || "(none)"}`);
+  const current = await fetchCurrentHostKey(name, cfg);
+  log.info(`Current:  ${current}`);
+
+  if (!cfg.hostKey) {
+    log.info(`Run 'fastssh hostkey ${name} --accept' to trust it.`);
+  } else if (current === cfg.hostKey) {
+    log.success("Host key matches.");
+  } else {
+    log.warn("Host key has CHANGED. Verify it with the server administrator before accepting.");
+    process.exitCode = EXIT.HOST_KEY_CHANGED;
+  }
+}
@@ -4,10 +4,32 @@ import fs from "node:fs";
 import path from "node:path";
 import { execSync } from "node:child_process";
 import os from "node:os";
-import { addServer, hasServer, removeServer, findServerByHostUser } from "../config/store.js";
+import { addServer, hasServer, removeServer, findServerByHostUser, findSecretNameClash } from "../config/store.js";
 import { log } from "../utils/logger.js";
+import { createHostKeyCheck, warnHostKeyChanged } from "../utils/hostkey.js";
+import {
+  SSH_KEY_TYPES,
+  validateKeyType,
+  detectKeyType,
+  validateHostname,
+  validateUsername,
+  validatePort,
+  validateTag,
+  validateServerName,
+  validateAuthType
+} from "../utils/edge-cases.js";
+import { createKeyboardInteractiveHandler } from "../utils/auth.js";
+import { getAgentPath, listAgentIdentities, findIdentity } from "../utils/agent.js";
+import { EXIT } from "../utils/exit-codes.js";
+import { openJumpSocket } from "./connect.js";
 
-function generateSSHKey(keyPath) {
+const KEYGEN_ARGS = {
+  rsa: "-t rsa -b 4096 -m pem",
+  ed25519: "-t ed25519",
+  ecdsa: "-t ecdsa -b 521"
+};
+
+function generateSSHKey(keyPath, keyType = "rsa") {
   const expandedPath = keyPath.replace("~", os.homedir());
   const keyDir = path.dirname(expandedPath);
 
@@ -16,9 +38,9 @@ function generateSSHKey(keyPath) {
       fs.mkdirSync(keyDir, { recursive: true, mode: 0o700 });
     }
 
-    const command = `ssh-keygen -t rsa -b 4096 -f "${expandedPath}" -N "" -m pem -C "fastssh-${Date.now()}"`;
+    const command = `ssh-keygen ${KEYGEN_ARGS[keyType]} -f "${expandedPath}" -N "" -C "fastssh-${Date.now()}"`;
     
-    log.info(`\n Generating RSA-4096 SSH key at: ${keyPath}`);
+    log.info(`\n Generating ${SSH_KEY_TYPES[keyType].label} SSH key at: ${keyPath}`);
     execSync(command, { stdio: "pipe" });
     
     log.success(" SSH key generated successfully!");
@@ -117,7 +139,11 @@ async function addPublicKeyToRemote(ssh, pubKeyContent) {
   }
 }
 
-async function testSSHKeyAuthentication(basicInfo, authDetails) {
+/**
+ * Connects once with the key alone and exits with help if the server rejects it
+ * Also used by `fastssh edit` to re-test an entry after its details change
+ */
+export async function testSSHKeyAuthentication(basicInfo, authDetails, hostCheck) {
   log.info("\n Testing SSH key authentication...");
   const expandedPath = authDetails.keyPath.replace("~", os.homedir());
   
@@ -126,7 +152,7 @@ async function testSSHKeyAuthentication(basicInfo, authDetails) {
     privateKeyContent = fs.readFileSync(expandedPath, 'utf-8');
   } catch (err) {
     log.error(`Failed to read private key: ${err.message}`);
-    process.exit(1);
+    process.exit(EXIT.KEY_SETUP_FAILED);
   }
 
   const sshKey = new NodeSSH();
@@ -136,17 +162,28 @@ async function testSSHKeyAuthentication(basicInfo, authDetails) {
     port: basicInfo.port || 22,
     privateKey: privateKeyContent,
     readyTimeout: 15000,
-    algorithms: {
-      serverHostKey: ['ssh-rsa', 'rsa-sha2-512', 'rsa-sha2-256'],
-    }
+    hostVerifier: hostCheck.verifier
   };
 
+  if (authDetails.passphrase) {
+    keyConnectConfig.passphrase = authDetails.passphrase;
+  }
+
+  let hop = null;
   try {
     log.info("   Connecting with SSH key...");
+    hop = await attachJump(keyConnectConfig, basicInfo, authDetails.name);
     await sshKey.connect(keyConnectConfig);
     sshKey.dispose();
+    hop?.dispose();
     log.success("SSH key authentication verified!");
   } catch (err) {
+    sshKey.dispose();
+    hop?.dispose();
+    if (hostCheck.mismatch || err.hostCheck) {
+      warnHostKeyChanged(err.serverName || authDetails.name, err.hostCheck || hostCheck);
+      process.exit(EXIT.HOST_KEY_CHANGED);
+    }
     log.error("SSH key authentication failed");
     log.error(`   Error: ${err.message}`);
     log.info("\nTroubleshooting steps:");
@@ -159,77 +196,352 @@ async function testSSHKeyAuthentication(basicInfo, authDetails) {
     log.info("   3. Try manual SSH connection:");
     log.info(`      ssh -i ${authDetails.keyPath} user@host`);
     log.info("");
-    log.info("   4. Regenerate the RSA key if needed:");
-    log.info("      ssh-keygen -t rsa -b 4096 -m pem -f ~/.ssh/id_rsa");
-    process.exit(1);
+    log.info(`   4. Regenerate the ${SSH_KEY_TYPES[authDetails.keyType].label} key if needed:`);
+    log.info(`      ssh-keygen ${KEYGEN_ARGS[authDetails.keyType]} -f ${authDetails.keyPath}`);
+    process.exit(EXIT.KEY_SETUP_FAILED);
   }
 }
 
-function logAuthenticationInfo(authDetails) {
-  log.success(`Setup complete. Connect with: fastssh ${authDetails.name}`);
+/**
+ * Connects once through the SSH agent and exits with help if the server rejects it
+ */
+async function testAgentAuthentication(basicInfo, authDetails, hostCheck) {
+  log.info("\n Testing SSH agent authentication...");
+  const ssh = new NodeSSH();
+  const connectConfig = {
+    host: basicInfo.host,
+    username: basicInfo.user,
+    port: basicInfo.port || 22,
+    agent: getAgentPath(),
+    readyTimeout: 15000,
+    hostVerifier: hostCheck.verifier
+  };
+
+  let hop = null;
+  try {
+    hop = await attachJump(connectConfig, basicInfo, authDetails.name);
+    await ssh.connect(connectConfig);
+    log.success("SSH agent authentication verified!");
+  } catch (err) {
+    if (hostCheck.mismatch || err.hostCheck) {
+      warnHostKeyChanged(err.serverName || authDetails.name, err.hostCheck || hostCheck);
+      process.exit(EXIT.HOST_KEY_CHANGED);
+    }
+    log.error("SSH agent authentication failed");
+    log.error(`   Error: ${err.message}`);
+    log.info("\nCheck that the agent still holds the key: ssh-add -l");
+    log.info(`   Expected: ${authDetails.identity.fingerprint} ${authDetails.identity.comment}`);
+    process.exit(EXIT.KEY_SETUP_FAILED);
+  } finally {
+    ssh.dispose();
+    hop?.dispose();
+  }
 }
 
-export async function init(name) {
-  if (hasServer(name)) {
-    const { replace } = await inquirer.prompt([
-      {
-        name: "replace",
-        type: "confirm",
-        message: `Server '${name}' already exists. Remove and re-create it?`,
-        default: false
+/**
+ * Picks the agent identity to install: --agent-key, the only one, or a prompt
+ */
+async function selectAgentIdentity(options, nonInteractive) {
+  let identities;
+  try {
+    identities = await listAgentIdentities();
+  } catch (err) {
+    log.error(err.message);
+    log.info("Start ssh-agent and add your key (ssh-add), or enable your password manager's SSH agent.");
+    process.exit(EXIT.MISSING_INPUT);
+  }
+
+  if (!identities.length) {
+    log.error("The SSH agent holds no keys fastssh can use. Add one with: ssh-add <key>");
+    process.exit(EXIT.MISSING_INPUT);
+  }
+
+  const describe = identity => `${identity.comment || "(no comment)"}  ${identity.type}  ${identity.fingerprint}`;
+
+  if (options.agentKey) {
+    const identity = findIdentity(identities, options.agentKey);
+    if (!identity) {
+      log.error(`No agent identity matches '${options.agentKey}'. Available:`);
+      identities.forEach(available => log.info(`   ${describe(available)}`));
+      process.exit(EXIT.USAGE);
+    }
+    return identity;
+  }
+
+  if (identities.length === 1) {
+    return identities[0];
+  }
+
+  if (nonInteractive) {
+    log.error("The SSH agent holds several keys: pick one with --agent-key <fingerprint|comment>");
+    process.exit(EXIT.MISSING_INPUT);
+  }
+
+  const { identity } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "identity",
+      message: "Agent key to install on the server:",
+      choices: identities.map(available => ({ name: describe(available), value: available }))
+    }
+  ]);
+  return identity;
+}
+
+/**
+ * Routes a setup connection through the jump server when one is configured
+ * Returns the hop connection so the caller can dispose it
+ */
+async function attachJump(connectConfig, basicInfo, name) {
+  if (!basicInfo.jump) {
+    return null;
+  }
+
+  const { sock, hop } = await openJumpSocket(basicInfo.jump, basicInfo.host, basicInfo.port || 22, [name]);
+  connectConfig.sock = sock;
+  return hop;
+}
+
+/**
+ * Logs in once with a password or keyboard-interactive and returns the host key seen
+ * OTP and other challenges are answered at the terminal during setup.
+ */
+async function verifyPasswordLogin(basicInfo, authType, password, name) {
+  const ssh = new NodeSSH();
+  const hostCheck = createHostKeyCheck(null);
+  const connectConfig = {
+    host: basicInfo.host,
+    username: basicInfo.user,
+    port: basicInfo.port || 22,
+    readyTimeout: 60000,
+    hostVerifier: hostCheck.verifier
+  };
+
+  if (authType === "password") {
+    connectConfig.password = password;
+  } else {
+    connectConfig.tryKeyboard = true;
+    connectConfig.onKeyboardInteractive = createKeyboardInteractiveHandler({
+      password,
+      ask: async ({ prompt, echo, instructions }) => {
+        if (instructions) log.info(instructions);
+        const { answer } = await inquirer.prompt([{ name: "answer", type: echo ? "input" : "password", message: prompt }]);
+        return answer;
       }
-    ]);
+    });
+  }
 
-    if (!replace) {
-      log.info("Canceled.");
-      return;
+  let hop = null;
+  try {
+    log.info(`\n Logging in with ${authType}...`);
+    hop = await attachJump(connectConfig, basicInfo, name);
+    await ssh.connect(connectConfig);
+    log.success(`${authType === "password" ? "Password" : "Keyboard-interactive"} login verified!`);
+    log.info(` Server host key fingerprint: ${hostCheck.seen}`);
+    return hostCheck.seen;
+  } finally {
+    ssh.dispose();
+    hop?.dispose();
+  }
+}
+
+function logAuthenticationInfo(authDetails) {
+  log.success(`Setup complete. Connect with: fastssh ${authDetails.name}`);
+}
+
+/**
+ * Resolves which key type and path to use from --key-type / --key
+ * An existing key file decides the type unless it contradicts --key-type
+ */
+function resolveKeySelection(options) {
+  if (options.keyType) {
+    const typeCheck = validateKeyType(options.keyType);
+    if (!typeCheck.valid) {
+      log.error(typeCheck.error);
+      process.exit(EXIT.USAGE);
     }
+  }
 
-    await removeServer(name);
+  const requestedType = options.keyType || "rsa";
+  const keyPath = options.key || SSH_KEY_TYPES[requestedType].defaultPath;
+  const expandedPath = keyPath.replace("~", os.homedir());
+
+  if (!fs.existsSync(expandedPath)) {
+    return { keyPath, keyType: requestedType, exists: false };
+  }
+
+  const detectedType = detectKeyType(fs.readFileSync(expandedPath, "utf-8"));
+  if (!detectedType) {
+    log.error(`Unrecognized key at ${keyPath}. Supported types: ${Object.keys(SSH_KEY_TYPES).join(", ")}`);
+    process.exit(EXIT.USAGE);
+  }
+
+  if (options.keyType && detectedType !== options.keyType) {
+    log.error(`Key at ${keyPath} is ${SSH_KEY_TYPES[detectedType].label}, not ${SSH_KEY_TYPES[options.keyType].label}.`);
+    log.info("Pass a different --key path to generate a new key of the requested type.");
+    process.exit(EXIT.USAGE);
   }
 
-  const basicInfo = await inquirer.prompt([
+  return { keyPath, keyType: detectedType, exists: true };
+}
+
+/**
+ * Reads a secret piped on stdin (for --password-stdin)
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf-8").replace(/\r?\n$/, "");
+}
+
+/**
+ * Merges CLI flags with FASTSSH_* environment variables (flags win)
+ */
+export function resolveInitOptions(options) {
+  const env = process.env;
+  return {
+    ...options,
+    host: options.host || env.FASTSSH_HOST,
+    user: options.user || env.FASTSSH_USER,
+    port: options.port || env.FASTSSH_PORT,
+    key: options.key || env.FASTSSH_KEY,
+    jump: options.jump || env.FASTSSH_JUMP,
+    auth: options.auth || env.FASTSSH_AUTH
+  };
+}
+
+/**
+ * Non-interactive mode is used as soon as connection details come from
+ * flags or the environment, so provisioning scripts never block on a prompt
+ * A port alone is not enough; it becomes the prompt's default instead.
+ */
+export function isNonInteractive(options) {
+  return Boolean(options.host || options.user || options.passwordStdin);
+}
+
+function collectBasicInfoFromOptions(options) {
+  const missing = ["host", "user"].filter(field => !options[field]);
+  if (missing.length) {
+    log.error(`Missing required value(s) for non-interactive init: ${missing.map(f => `--${f}`).join(", ")}`);
+    process.exit(EXIT.MISSING_INPUT);
+  }
+
+  const checks = [
+    validateHostname(options.host),
+    validateUsername(options.user),
+    validatePort(options.port || 22)
+  ];
+  const failed = checks.find(check => !check.valid);
+  if (failed) {
+    log.error(failed.error);
+    process.exit(EXIT.USAGE);
+  }
+
+  return { host: options.host, user: options.user, port: checks[2].port };
+}
+
+/**
+ * Prompts for interactive init; a --port (or FASTSSH_PORT) is offered as the default
+ */
+export function basicInfoQuestions(options = {}) {
+  return [
     { name: "host", message: "IP:" },
     { name: "user", message: "User:" },
     {
       name: "port",
       message: "SSH Port:",
-      default: 22,
-      validate: (input) => {
-        const port = Number.parseInt(input);
-        if (Number.isNaN(port) || port < 1 || port > 65535) {
-          return "Port must be between 1 and 65535";
-        }
-        return true;
-      }
+      default: options.port ? validatePort(options.port).port : 22,
+      validate: (input) => validatePort(input).valid || validatePort(input).error
     }
-  ]);
+  ];
+}
 
-  let authDetails = {};
+async function promptBasicInfo(options) {
+  const answers = await inquirer.prompt(basicInfoQuestions(options));
+  return { ...answers, port: Number.parseInt(answers.port, 10) };
+}
 
-  const keyType = "rsa";
-  const keyPath = "~/.ssh/id_rsa";
-  const expandedPath = keyPath.replace("~", os.homedir());
+/**
+ * --auth (or FASTSSH_AUTH); key flags imply key auth
+ * Returns null when the choice is left to a prompt.
+ */
+function resolveAuthType(options, nonInteractive) {
+  if (options.auth) {
+    const check = validateAuthType(options.auth);
+    if (!check.valid) {
+      log.error(check.error);
+      process.exit(EXIT.USAGE);
+    }
+    if (options.auth !== "key" && (options.key || options.keyType)) {
+      log.error("--key and --key-type only apply to --auth key");
+      process.exit(EXIT.USAGE);
+    }
+    return options.auth;
+  }
 
-  if (fs.existsSync(expandedPath)) {
-    log.info(`\n Using existing SSH keys`);
-  } else {
-    log.info("\n SSH key not found. Generating a new SSH key for you...");
-    if (!generateSSHKey(keyPath)) {
-      log.error("Failed to generate SSH key.");
-      process.exit(1);
+  if (options.agentKey) return "agent";
+  return nonInteractive || options.key || options.keyType ? "key" : null;
+}
+
+async function promptAuthType() {
+  const { authType } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "authType",
+      message: "Authentication:",
+      choices: [
+        { name: "SSH key (recommended; a key is installed on the server)", value: "key" },
+        { name: "SSH agent key (ssh-agent, 1Password, Bitwarden, ...)", value: "agent" },
+        { name: "Password (stored in your secrets backend)", value: "password" },
+        { name: "Keyboard-interactive (password plus OTP/2FA prompts)", value: "keyboard-interactive" }
+      ],
+      default: "key"
     }
+  ]);
+  return authType;
+}
+
+/**
+ * Key auth uses the password once to install the key; password auth stores it.
+ * Keyboard-interactive may leave it empty to be asked on every login.
+ */
+async function collectPassword(options, nonInteractive, authType = "key") {
+  if (options.passwordStdin) {
+    const password = await readStdin();
+    if (!password) {
+      log.error("--password-stdin was given but no password was read from stdin");
+      process.exit(EXIT.MISSING_INPUT);
+    }
+    return password;
   }
 
-  authDetails.keyPath = keyPath;
-  authDetails.keyType = keyType;
-  authDetails.name = name;
+  if (process.env.FASTSSH_PASSWORD) {
+    return process.env.FASTSSH_PASSWORD;
+  }
 
-  const existingServer = findServerByHostUser(basicInfo.host, basicInfo.user);
-  if (existingServer) {
-    log.error(` This IP and user combination already exist as '${existingServer}'`);
-    log.info(`Please use a different IP or user, or remove '${existingServer}' first.`);
-    process.exit(1);
+  if (nonInteractive && authType === "keyboard-interactive") {
+    return null;
+  }
+
+  if (nonInteractive) {
+    log.error("Missing password for non-interactive init: use --password-stdin or FASTSSH_PASSWORD");
+    process.exit(EXIT.MISSING_INPUT);
+  }
+
+  if (authType !== "key") {
+    const { password } = await inquirer.prompt([
+      {
+        name: "password",
+        message: authType === "password"
+          ? "Password (stored in your secrets backend):"
+          : "Password for the first prompt (leave empty to be asked each time):",
+        type: "password",
+        validate: (input) => Boolean(input) || authType !== "password" || "Password is required"
+      }
+    ]);
+    return password || null;
   }
 
   // Ask for password once to install public key on remote
@@ -244,25 +556,212 @@ export async function init(name) {
       }
     }
   ]);
-  authDetails.password = password;
+  return password;
+}
+
+async function confirmReplace(name, options, nonInteractive) {
+  if (options.force) {
+    return true;
+  }
+
+  if (nonInteractive) {
+    log.error(`Server '${name}' already exists. Pass --force to re-create it.`);
+    process.exit(EXIT.SERVER_EXISTS);
+  }
+
+  const { replace } = await inquirer.prompt([
+    {
+      name: "replace",
+      type: "confirm",
+      message: `Server '${name}' already exists. Remove and re-create it?`,
+      default: false
+    }
+  ]);
+  return replace;
+}
+
+function validateJump(name, jump) {
+  if (!jump) return;
+
+  if (jump === name) {
+    log.error("A server cannot be its own jump server.");
+    process.exit(EXIT.USAGE);
+  }
+  if (!hasServer(jump)) {
+    log.error(`Jump server '${jump}' not found. Add it first with: fastssh init ${jump}`);
+    process.exit(EXIT.USAGE);
+  }
+}
+
+/**
+ * Tags may be repeated (--tag a --tag b) or comma separated (--tag a,b)
+ */
+function resolveMetadata(options) {
+  const tags = (options.tag || []).flatMap(t => t.split(",")).map(t => t.trim()).filter(Boolean);
+
+  for (const value of [...tags, ...(options.group ? [options.group] : [])]) {
+    const check = validateTag(value);
+    if (!check.valid) {
+      log.error(check.error);
+      process.exit(EXIT.USAGE);
+    }
+  }
+
+  return { tags, group: options.group, description: options.description?.trim() };
+}
+
+/**
+ * Saves a password or keyboard-interactive server after one successful login
+ */
+async function initWithoutKey(name, basicInfo, authType, options, nonInteractive, metadata) {
+  const existingServer = findServerByHostUser(basicInfo.host, basicInfo.user);
+  if (existingServer) {
+    log.error(` This IP and user combination already exist as '${existingServer}'`);
+    log.info(`Please use a different IP or user, or remove '${existingServer}' first.`);
+    process.exit(EXIT.DUPLICATE_SERVER);
+  }
+
+  const password = await collectPassword(options, nonInteractive, authType);
+
+  let hostKey;
+  try {
+    hostKey = await verifyPasswordLogin(basicInfo, authType, password, name);
+  } catch (err) {
+    if (err.hostCheck) {
+      warnHostKeyChanged(err.serverName, err.hostCheck);
+      process.exit(EXIT.HOST_KEY_CHANGED);
+    }
+    log.error("Setup failed. Authentication with the server failed.");
+    log.error(`Error: ${err.message}`);
+    log.info("\n Common issues:");
+    log.info("   • Incorrect password, one-time code or username");
+    log.info(`   • The server does not allow ${authType} logins`);
+    log.info("   • Firewall blocking SSH connection");
+    process.exit(EXIT.CONNECTION_FAILED);
+  }
+
+  await addServer(name, {
+    host: basicInfo.host,
+    user: basicInfo.user,
+    port: basicInfo.port || 22,
+    authType,
+    password,
+    hostKey,
+    jump: basicInfo.jump,
+    ...metadata
+  });
+
+  logAuthenticationInfo({ name });
+}
+
+export async function init(name, givenOptions = {}) {
+  const nameCheck = validateServerName(name);
+  if (!nameCheck.valid) {
+    log.error(nameCheck.error);
+    process.exit(EXIT.USAGE);
+  }
+
+  // Both would read the same FASTSSH_<KIND>_<SERVER> variables with FASTSSH_SECRETS=env
+  const clash = findSecretNameClash(name);
+  if (clash) {
+    log.error(`'${name}' is too close to the saved server '${clash}': their secrets would share environment variable names. Choose another name.`);
+    process.exit(EXIT.USAGE);
+  }
+
+  const options = resolveInitOptions(givenOptions);
+  const nonInteractive = isNonInteractive(options);
+  const authType = resolveAuthType(options, nonInteractive) || await promptAuthType();
+  const keySelection = authType === "key" ? resolveKeySelection(options) : null;
+  const identity = authType === "agent" ? await selectAgentIdentity(options, nonInteractive) : null;
+  const metadata = resolveMetadata(options);
+  validateJump(name, options.jump);
+
+  // Validate flags before touching an existing entry
+  let basicInfo = nonInteractive ? collectBasicInfoFromOptions(options) : null;
+  if (!basicInfo && options.port && !validatePort(options.port).valid) {
+    log.error(validatePort(options.port).error);
+    process.exit(EXIT.USAGE);
+  }
+
+  if (hasServer(name)) {
+    if (!(await confirmReplace(name, options, nonInteractive))) {
+      log.info("Canceled.");
+      return;
+    }
+
+    await removeServer(name);
+  }
+
+  if (!basicInfo) {
+    basicInfo = await promptBasicInfo(options);
+  }
+  basicInfo.jump = options.jump;
+
+  if (authType === "password" || authType === "keyboard-interactive") {
+    await initWithoutKey(name, basicInfo, authType, options, nonInteractive, metadata);
+    return;
+  }
+
+  let authDetails = { name };
+
+  if (identity) {
+    log.info(`\n Using SSH agent key: ${identity.comment || identity.type} (${identity.fingerprint})`);
+    authDetails.identity = identity;
+  } else {
+    const { keyType, keyPath } = keySelection;
+
+    if (keySelection.exists) {
+      log.info(`\n Using existing ${SSH_KEY_TYPES[keyType].label} SSH key: ${keyPath}`);
+    } else {
+      log.info("\n SSH key not found. Generating a new SSH key for you...");
+      if (!generateSSHKey(keyPath, keyType)) {
+        log.error("Failed to generate SSH key.");
+        process.exit(EXIT.KEY_SETUP_FAILED);
+      }
+    }
+
+    authDetails.keyPath = keyPath;
+    authDetails.keyType = keyType;
+  }
+
+  const existingServer = findServerByHostUser(basicInfo.host, basicInfo.user);
+  if (existingServer) {
+    log.error(` This IP and user combination already exist as '${existingServer}'`);
+    log.info(`Please use a different IP or user, or remove '${existingServer}' first.`);
+    process.exit(EXIT.DUPLICATE_SERVER);
+  }
+
+  authDetails.password = await collectPassword(options, nonInteractive);
 
   const ssh = new NodeSSH();
+  const hostCheck = createHostKeyCheck(null);
+  let hop = null;
 
   try {
     const connectConfig = {
       host: basicInfo.host,
       username: basicInfo.user,
       port: basicInfo.port || 22,
-      password: authDetails.password
+      password: authDetails.password,
+      hostVerifier: hostCheck.verifier
     };
 
+    if (basicInfo.jump) {
+      log.info(`\n Connecting through jump server '${basicInfo.jump}'...`);
+    }
+    hop = await attachJump(connectConfig, basicInfo, name);
     await ssh.connect(connectConfig);
+    log.info(`\n Server host key fingerprint: ${hostCheck.seen}`);
+    log.info("   Compare it with the server's own output of: ssh-keygen -lf /etc/ssh/ssh_host_<type>_key.pub");
+
+    // Later connections must present this same key
+    hostCheck.expected = hostCheck.seen;
 
-    const pubKeyContent = getPublicKeyContent(authDetails.keyPath);
+    const pubKeyContent = identity ? identity.publicKey : getPublicKeyContent(authDetails.keyPath);
     if (!pubKeyContent) {
       log.error("Could not read public key");
       ssh.dispose();
-      process.exit(1);
+      process.exit(EXIT.KEY_SETUP_FAILED);
     }
     
     const installed = await addPublicKeyToRemote(ssh, pubKeyContent);
@@ -270,24 +769,40 @@ export async function init(name) {
     if (!installed) {
       log.error("Failed to install public key on server");
       ssh.dispose();
-      process.exit(1);
+      process.exit(EXIT.KEY_SETUP_FAILED);
     }
 
     await checkServerSSHConfig(ssh);
     ssh.dispose();
+    hop?.dispose();
 
-    await testSSHKeyAuthentication(basicInfo, authDetails);
+    if (identity) {
+      await testAgentAuthentication(basicInfo, authDetails, hostCheck);
+    } else {
+      await testSSHKeyAuthentication(basicInfo, authDetails, hostCheck);
+    }
 
     await addServer(name, {
       host: basicInfo.host,
       user: basicInfo.user,
       port: basicInfo.port || 22,
-      authType: "key",
-      keyPath: authDetails.keyPath
+      authType,
+      keyPath: authDetails.keyPath,
+      keyType: authDetails.keyType,
+      agentIdentity: identity?.fingerprint,
+      hostKey: hostCheck.seen,
+      jump: basicInfo.jump,
+      ...metadata
     });
 
     logAuthenticationInfo(authDetails);
   } catch (err) {
+    ssh.dispose();
+    hop?.dispose();
+    if (err.hostCheck) {
+      warnHostKeyChanged(err.serverName, err.hostCheck);
+      process.exit(EXIT.HOST_KEY_CHANGED);
+    }
     log.error("Setup failed. Authentication with the server failed.");
     log.error(`Error: ${err.message}`);
     log.info("\n Common issues:");
@@ -296,6 +811,6 @@ export async function init(name) {
     log.info("   • Firewall blocking SSH connection");
     log.info("   • Wrong server IP address");
     console.error("\nFull error:", err);
-    process.exit(1);
+    process.exit(EXIT.CONNECTION_FAILED);
   }
 }
@@ -1,12 +1,69 @@
-import { listServers } from "../config/store.js";
+import { listServerEntries } from "../config/store.js";
+import { matchesGlob } from "../utils/edge-cases.js";
+import { renderTable } from "../utils/table.js";
+import { isSelector, matchesSelector } from "../utils/selector.js";
 
-export function list() {
-  const servers = listServers();
+/**
+ * A filter matches the server name or any of its tags (globs allowed)
+ * An `@selector` filter matches tags and groups only
+ */
+function matchesFilter(server, filter) {
+  if (!filter) return true;
+  if (isSelector(filter)) return matchesSelector(server, filter);
+  return matchesGlob(server.name, filter) || (server.tags || []).some(tag => matchesGlob(tag, filter));
+}
+
+function formatLastConnected(timestamp) {
+  if (!timestamp) return "never";
+
+  const seconds = Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000);
+  if (seconds < 60) return "just now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  if (seconds < 86400 * 30) return `${Math.floor(seconds / 86400)}d ago`;
+  return timestamp.slice(0, 10);
+}
+
+function printLong(servers, showSource) {
+  const headers = ["NAME", "GROUP", "TARGET", "KEY", "TAGS", "LAST CONNECTED"];
+  const rows = servers.map(s => [
+    s.name,
+    s.group,
+    `${s.user}@${s.host}:${s.port || 22}`,
+    s.keyPath,
+    s.tags?.length ? s.tags.join(",") : null,
+    formatLastConnected(s.lastConnected)
+  ]);
+  if (showSource) {
+    headers.push("SOURCE");
+    rows.forEach((row, i) => row.push(servers[i].source));
+  }
+  console.log(renderTable(headers, rows));
+}
+
+function describe(server, showSource) {
+  const label = server.description ? `${server.name} — ${server.description}` : server.name;
+  return showSource ? `${label} (${server.source})` : label;
+}
+
+export function list(selector, options = {}) {
+  const filter = options.filter || selector;
+  const servers = listServerEntries().filter(server => matchesFilter(server, filter));
+
+  if (options.json) {
+    console.log(JSON.stringify(servers, null, 2));
+    return;
+  }
 
   if (!servers.length) {
-    console.log("No servers saved.");
+    console.log(filter ? `No servers match '${filter}'.` : "No servers saved.");
+    return;
+  }
+
+  if (options.long) {
+    printLong(servers, options.source);
     return;
   }
 
-  servers.forEach(s => console.log("•", s));
+  servers.forEach(s => console.log("•", describe(s, options.source)));
 }
@@ -0,0 +1,120 @@
+import net from "node:net";
+import inquirer from "inquirer";
+import { loadConfig, updateServer } from "../config/store.js";
+import { openJumpSocket } from "./connect.js";
+import { validatePort } from "../utils/edge-cases.js";
+import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+
+const MIGRATIONS = ["ports"];
+const BANNER_TIMEOUT_MS = 5000;
+
+/**
+ * Resolves true once the stream sends an SSH identification line ("SSH-2.0-...")
+ */
+function readSSHBanner(stream) {
+  return new Promise((resolve) => {
+    let received = "";
+    let done = false;
+    const finish = (found) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      stream.removeAllListeners("data");
+      stream.destroy();
+      resolve(found);
+    };
+    const timer = setTimeout(() => finish(false), BANNER_TIMEOUT_MS);
+
+    stream.on("data", (chunk) => {
+      received += chunk.toString("latin1");
+      if (received.includes("SSH-")) finish(true);
+      else if (received.length > 1024) finish(false);
+    });
+    stream.on("error", () => finish(false));
+    stream.on("close", () => finish(received.includes("SSH-")));
+  });
+}
+
+/**
+ * Checks whether an SSH server answers on a port, through the jump server if any
+ */
+async function answersSSH(name, server, port) {
+  if (!server.jump) {
+    return readSSHBanner(net.connect({ host: server.host, port }));
+  }
+
+  try {
+    const { sock, hop } = await openJumpSocket(server.jump, server.host, port, [name]);
+    const found = await readSSHBanner(sock);
+    hop.dispose();
+    return found;
+  } catch {
+    return false;
+  }
+}
+
+async function promptPort(name) {
+  const { port } = await inquirer.prompt([
+    {
+      name: "port",
+      message: `SSH port for '${name}':`,
+      validate: (input) => validatePort(input).valid || validatePort(input).error
+    }
+  ]);
+  return validatePort(port).port;
+}
+
+/**
+ * Entries saved before ports were stored silently fell back to 22
+ * Keeps 22 where an SSH server answers there; otherwise asks for the real port
+ */
+async function migratePorts() {
+  const missing = Object.entries(loadConfig()).filter(([, server]) => server.port === undefined);
+  if (!missing.length) {
+    log.success("Every saved server has a stored port.");
+    return;
+  }
+
+  log.info(`Checking ${missing.length} server(s) saved without a port...\n`);
+  const unresolved = [];
+
+  for (const [name, server] of missing) {
+    if (await answersSSH(name, server, 22)) {
+      updateServer(name, { port: 22 });
+      log.success(`• ${name}: SSH answers on port 22, saved`);
+      continue;
+    }
+
+    log.warn(`• ${name}: no SSH server on port 22 at ${server.host}`);
+    if (!process.stdin.isTTY) {
+      unresolved.push(name);
+      continue;
+    }
+
+    const port = await promptPort(name);
+    if (!(await answersSSH(name, server, port))) {
+      log.warn(`    No SSH server answered on port ${port} either; saved anyway.`);
+    }
+    updateServer(name, { port });
+    log.success(`    Saved port ${port} for '${name}'`);
+  }
+
+  if (unresolved.length) {
+    log.info("\nSet the right port for each of these with:");
+    unresolved.forEach(name => log.info(`   fastssh edit ${name} --port <port>`));
+    process.exitCode = EXIT.FAILURE;
+  }
+}
+
+/**
+ * Repairs saved entries: fastssh migrate ports
+ */
+export async function migrate(target) {
+  if (!MIGRATIONS.includes(target)) {
+    log.error(`Unknown migration '${target}'. Available: ${MIGRATIONS.join(", ")}`);
+    process.exit(EXIT.USAGE);
+  }
+
+  await migratePorts();
+}
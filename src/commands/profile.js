@@ -0,0 +1,65 @@
+import fs from "node:fs";
+import path from "node:path";
+import {
+  DEFAULT_PROFILE,
+  getActiveProfile,
+  setActiveProfile,
+  listProfiles,
+  profileConfigPath,
+  validateProfileName
+} from "../config/paths.js";
+import { parseConfig } from "../config/schema.js";
+import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+
+function countServers(profile) {
+  const file = profileConfigPath(profile);
+  if (!fs.existsSync(file)) return "0 servers";
+
+  const result = parseConfig(fs.readFileSync(file, "utf8"));
+  return result.success ? `${Object.keys(result.doc.servers).length} servers` : "unreadable config";
+}
+
+/**
+ * Lists profiles, marking the active one: fastssh profile list
+ */
+export function profileList() {
+  const active = getActiveProfile();
+  const profiles = listProfiles();
+  if (!profiles.includes(active)) profiles.push(active);
+
+  for (const profile of profiles) {
+    const marker = profile === active ? "*" : " ";
+    log.info(`${marker} ${profile}  (${countServers(profile)})`);
+  }
+}
+
+/**
+ * Switches the default profile for later commands: fastssh profile use <name>
+ * A new name creates an empty profile.
+ */
+export function profileUse(name) {
+  const check = validateProfileName(name);
+  if (!check.valid) {
+    log.error(check.error);
+    process.exit(EXIT.USAGE);
+  }
+
+  const dir = path.dirname(profileConfigPath(name));
+  const created = name !== DEFAULT_PROFILE && !fs.existsSync(dir);
+  if (created) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+
+  try {
+    setActiveProfile(name);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(EXIT.FAILURE);
+  }
+
+  log.success(`${created ? "Created and switched" : "Switched"} to profile '${name}'.`);
+  if (process.env.FASTSSH_PROFILE && process.env.FASTSSH_PROFILE !== name) {
+    log.warn(`FASTSSH_PROFILE=${process.env.FASTSSH_PROFILE} is set and still takes precedence in this shell.`);
+  }
+}
@@ -1,25 +1,97 @@
-import { removeServer, hasServer, getServer } from "../config/store.js";
-import { NodeSSH } from "node-ssh";
+import { removeServer, hasServer, getServer, findServersUsingJump } from "../config/store.js";
+import { openConnection, resolveServerName, ensurePersonalServer } from "./connect.js";
 import fs from "node:fs";
 import os from "node:os";
 import inquirer from "inquirer";
 import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+import { warnHostKeyChanged } from "../utils/hostkey.js";
+import { listAgentIdentities, findIdentity } from "../utils/agent.js";
 
-export async function remove(name) {
-  if (!name) {
+/**
+ * Shell command that deletes a public key from ~/.ssh/authorized_keys
+ * Lines are matched on the key type and data, so a different comment still matches;
+ * the previous file is kept as authorized_keys.bak.
+ */
+export function buildRemoveKeyCommand(publicKey) {
+  const [type, data] = publicKey.trim().split(/\s+/);
+  const quoted = `'${`${type} ${data}`.replaceAll("'", String.raw`'\''`)}'`;
+  const file = "~/.ssh/authorized_keys";
+  return `cp ${file} ${file}.bak && { grep -vF ${quoted} ${file}.bak || true; } > ${file}`;
+}
+
+/**
+ * The public key fastssh installed for this server: the key file's .pub, or
+ * for agent servers the agent identity recorded at setup
+ */
+async function installedPublicKey(cfg) {
+  if (cfg.authType === "agent") {
+    const identity = cfg.agentIdentity ? findIdentity(await listAgentIdentities(), cfg.agentIdentity) : null;
+    if (!identity) {
+      throw new Error(`agent key ${cfg.agentIdentity || "(not recorded)"} is not loaded in the SSH agent (run ssh-add)`);
+    }
+    return identity.publicKey;
+  }
+
+  const pubKeyPath = `${cfg.keyPath.replace("~", os.homedir())}.pub`;
+  try {
+    return fs.readFileSync(pubKeyPath, "utf-8").trim();
+  } catch {
+    throw new Error(`could not read public key from ${pubKeyPath}`);
+  }
+}
+
+/**
+ * Logs in with the server's own key or agent key, like connect does; a password
+ * is asked for only when the server refuses that login
+ */
+async function connectForKeyRemoval(name, cfg) {
+  try {
+    return await openConnection(name, cfg, { readyTimeout: 15000 });
+  } catch (err) {
+    if (err.hostCheck || err.level !== "client-authentication") throw err;
+    log.warn(`The server refused the ${cfg.authType === "agent" ? "agent key" : "key"}: ${err.message}`);
+  }
+
+  const { password } = await inquirer.prompt([
+    {
+      name: "password",
+      message: "Password (to remove public key from server):",
+      type: "password",
+      validate: (input) => {
+        if (!input) return "Password required to delete key from server";
+        return true;
+      }
+    }
+  ]);
+  return openConnection(name, { ...cfg, authType: "password", password }, { readyTimeout: 15000 });
+}
+
+export async function remove(selector) {
+  if (!selector) {
     log.error("Provide server name");
     return;
   }
 
+  const name = await resolveServerName(selector);
+
   if (!hasServer(name)) {
     log.error(`Server '${name}' not found.`);
     return;
   }
+  ensurePersonalServer(name);
 
   const cfg = await getServer(name);
 
-  // Ask if user wants to delete the public key from remote server
-  const { deleteRemote } = await inquirer.prompt([
+  const dependents = findServersUsingJump(name);
+  if (dependents.length) {
+    log.warn(`'${name}' is the jump server for: ${dependents.join(", ")}`);
+    log.warn("Those servers will be unreachable until their jump server is changed.");
+  }
+
+  // Ask if user wants to delete the public key from remote server (key and agent logins only)
+  const installedKey = cfg.authType === "key" || cfg.authType === "agent";
+  const { deleteRemote } = !installedKey ? { deleteRemote: false } : await inquirer.prompt([
     {
       name: "deleteRemote",
       type: "confirm",
@@ -28,61 +100,39 @@ export async function remove(name) {
     }
   ]);
 
+  let pubKeyContent = null;
   if (deleteRemote) {
-    // Prompt for password to authenticate and delete the key
-    const { password } = await inquirer.prompt([
-      {
-        name: "password",
-        message: "Password (to remove public key from server):",
-        type: "password",
-        validate: (input) => {
-          if (!input) return "Password required to delete key from server";
-          return true;
-        }
-      }
-    ]);
+    try {
+      pubKeyContent = await installedPublicKey(cfg);
+    } catch (err) {
+      log.warn(`Cannot remove the public key from the server: ${err.message}`);
+      log.info("Proceeding to remove from config only.");
+    }
+  }
 
-    const ssh = new NodeSSH();
+  if (pubKeyContent) {
+    let ssh;
     try {
       log.info("\n Connecting to server to remove public key...");
-      
-      await ssh.connect({
-        host: cfg.host,
-        username: cfg.user,
-        port: cfg.port || 22,
-        password: password,
-        readyTimeout: 15000
-      });
-
-      // Get public key content to identify which line to delete
-      const keyPath = cfg.keyPath.replace("~", os.homedir());
-      const pubKeyPath = `${keyPath}.pub`;
-      
-      let pubKeyContent = null;
-      try {
-        pubKeyContent = fs.readFileSync(pubKeyPath, "utf-8").trim();
-      } catch (err) {
-        log.warn(`Could not read public key from ${pubKeyPath}`);
-        log.info("Proceeding to remove from config only.");
-        throw err;
-      }
-
-      // Remove the public key line from authorized_keys
-      const escapedKey = pubKeyContent.replaceAll("'", String.raw`'\''`);
-      const removeCommand = `sed -i.bak "/'${escapedKey}'/d" ~/.ssh/authorized_keys`;
-      
-      const result = await ssh.execCommand(removeCommand);
-      ssh.dispose();
+      ssh = await connectForKeyRemoval(name, cfg);
 
+      const result = await ssh.execCommand(buildRemoveKeyCommand(pubKeyContent));
       if (result.code === 0 || result.code === null) {
         log.success("Public key removed from server");
       } else {
         log.warn("Could not verify key deletion on server");
       }
     } catch (err) {
+      if (err.hostCheck) {
+        warnHostKeyChanged(err.serverName, err.hostCheck);
+        log.info(`\nServer '${name}' was NOT removed. To remove it locally only, re-run`);
+        log.info("and decline deleting the public key from the remote server.");
+        process.exit(EXIT.HOST_KEY_CHANGED);
+      }
       log.error(`Failed to remove public key from server: ${err.message}`);
       log.info("Continuing to remove from local config...");
-      ssh.dispose();
+    } finally {
+      ssh?.dispose();
     }
   }
 
@@ -0,0 +1,101 @@
+import { hasServer, loadConfig, listServerEntries, findServerByHostUser, renameServer, cloneServer } from "../config/store.js";
+import { resolveServerName, ensurePersonalServer } from "./connect.js";
+import { validateServerName, validateHostname, validateUsername, validatePort } from "../utils/edge-cases.js";
+import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+
+function validateTargetName(name) {
+  const check = validateServerName(name);
+  if (!check.valid) {
+    log.error(check.error);
+    process.exit(EXIT.USAGE);
+  }
+
+  if (hasServer(name)) {
+    log.error(`Server '${name}' already exists.`);
+    process.exit(EXIT.SERVER_EXISTS);
+  }
+}
+
+function checkOrExit(check) {
+  if (!check.valid) {
+    log.error(check.error);
+    process.exit(EXIT.USAGE);
+  }
+  return check;
+}
+
+/**
+ * Renames a saved server: fastssh rename <old> <new>
+ */
+export async function rename(selector, newName) {
+  const oldName = await resolveServerName(selector);
+  if (!hasServer(oldName)) {
+    log.error(`Server '${oldName}' not found.`);
+    process.exit(EXIT.FAILURE);
+  }
+  ensurePersonalServer(oldName);
+  validateTargetName(newName);
+
+  try {
+    await renameServer(oldName, newName);
+  } catch (err) {
+    log.error(`Rename failed, nothing was changed: ${err.message}`);
+    process.exit(EXIT.FAILURE);
+  }
+
+  log.success(`Renamed '${oldName}' to '${newName}'.`);
+  const dependents = Object.entries(loadConfig())
+    .filter(([, server]) => server.jump === newName)
+    .map(([name]) => name);
+  if (dependents.length) {
+    log.info(`Updated jump server for: ${dependents.join(", ")}`);
+  }
+}
+
+/**
+ * Copies a saved server under a new name: fastssh clone <src> <dst> [--host ...]
+ */
+export async function clone(selector, targetName, options = {}) {
+  const sourceName = await resolveServerName(selector);
+  const source = listServerEntries().find(entry => entry.name === sourceName);
+  if (!source) {
+    log.error(`Server '${sourceName}' not found.`);
+    process.exit(EXIT.FAILURE);
+  }
+  validateTargetName(targetName);
+
+  const overrides = {};
+  if (options.host !== undefined) {
+    checkOrExit(validateHostname(options.host));
+    overrides.host = options.host;
+  }
+  if (options.user !== undefined) {
+    checkOrExit(validateUsername(options.user));
+    overrides.user = options.user;
+  }
+  if (options.port !== undefined) {
+    overrides.port = checkOrExit(validatePort(options.port)).port;
+  }
+
+  const host = overrides.host || source.host;
+  const user = overrides.user || source.user;
+  const existing = findServerByHostUser(host, user);
+  if (existing) {
+    log.error(`${user}@${host} is already saved as '${existing}'.`);
+    log.info("Pass --host or --user so the clone points at a different account.");
+    process.exit(EXIT.DUPLICATE_SERVER);
+  }
+
+  try {
+    await cloneServer(sourceName, targetName, overrides);
+  } catch (err) {
+    log.error(`Clone failed, nothing was changed: ${err.message}`);
+    process.exit(EXIT.FAILURE);
+  }
+
+  log.success(`Cloned '${sourceName}' to '${targetName}' (${user}@${host}:${overrides.port || source.port || 22}).`);
+  if (overrides.host || overrides.user) {
+    log.info(`The key must be authorized for the new account. Check with: fastssh exec ${targetName} -- true`);
+  }
+}
@@ -0,0 +1,215 @@
+import { getServer, listServers, listServerEntries } from "../config/store.js";
+import { openConnection } from "./connect.js";
+import { log } from "../utils/logger.js";
+import { renderTable } from "../utils/table.js";
+import { isSelector, selectServers } from "../utils/selector.js";
+import { EXIT, toExitCode } from "../utils/exit-codes.js";
+
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_TIMEOUT_SECONDS = 60;
+
+/**
+ * Resolves --all / --servers / --tag into a list of saved server names
+ * `--servers` may mix names and `@tag` selectors; `--tag x` is the same as `@x`
+ */
+function resolveTargets(options) {
+  if (options.all) {
+    return listServers();
+  }
+
+  if (options.servers) {
+    const entries = listServerEntries();
+    const saved = new Set(listServers());
+    const items = options.servers.split(",").map(s => s.trim()).filter(Boolean);
+    const unknown = items.filter(item => !isSelector(item) && !saved.has(item));
+    if (unknown.length) {
+      log.error(`Unknown server(s): ${unknown.join(", ")}`);
+      process.exit(EXIT.USAGE);
+    }
+    const names = items.flatMap(item => (isSelector(item) ? selectServers(entries, item) : [item]));
+    return [...new Set(names)];
+  }
+
+  if (options.tag) {
+    return selectServers(listServerEntries(), `@${options.tag}`);
+  }
+
+  log.error("Select servers with --all, --servers a,b,c or --tag <tag>");
+  process.exit(EXIT.USAGE);
+}
+
+/**
+ * Writes complete lines with a host prefix, holding back partial lines
+ */
+function createLinePrefixer(prefix, stream) {
+  let pending = "";
+  return {
+    write(chunk) {
+      pending += chunk.toString();
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      for (const line of lines) {
+        stream.write(`${prefix}${line}\n`);
+      }
+    },
+    flush() {
+      if (pending) {
+        stream.write(`${prefix}${pending}\n`);
+        pending = "";
+      }
+    }
+  };
+}
+
+function createOutput(name, width, grouped) {
+  if (grouped) {
+    const buffered = [];
+    return {
+      stdout: chunk => buffered.push(["stdout", chunk]),
+      stderr: chunk => buffered.push(["stderr", chunk]),
+      done: () => {
+        log.info(`\n── ${name} ──`);
+        for (const [stream, chunk] of buffered) {
+          process[stream].write(chunk);
+        }
+      }
+    };
+  }
+
+  const prefix = `[${name.padEnd(width)}] `;
+  const out = createLinePrefixer(prefix, process.stdout);
+  const err = createLinePrefixer(prefix, process.stderr);
+  return {
+    stdout: chunk => out.write(chunk),
+    stderr: chunk => err.write(chunk),
+    done: () => {
+      out.flush();
+      err.flush();
+    }
+  };
+}
+
+function withTimeout(promise, ms, onTimeout) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      onTimeout();
+      reject(new Error(`timed out after ${ms / 1000}s`));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runOnServer(name, command, options, output) {
+  const started = Date.now();
+  const result = { name, code: null, error: null, duration: 0 };
+  let ssh;
+  let timedOut = false;
+
+  const attempt = async () => {
+    const cfg = await getServer(name);
+    // Servers connect side by side; their password prompts would mix on one terminal
+    ssh = await openConnection(name, cfg, {
+      quiet: true,
+      prompts: false,
+      readyTimeout: Math.min(options.timeoutMs, 20000)
+    });
+    // The timeout may have fired while we were still connecting
+    if (timedOut) {
+      ssh.dispose();
+      return;
+    }
+    const res = await ssh.execCommand(command, {
+      noTrim: true,
+      onStdout: output.stdout,
+      onStderr: output.stderr
+    });
+    result.code = toExitCode(res.code, res.signal);
+  };
+
+  try {
+    await withTimeout(attempt(), options.timeoutMs, () => {
+      timedOut = true;
+      ssh?.dispose();
+    });
+  } catch (err) {
+    result.error = err.hostCheck ? `host key changed (${err.serverName})` : err.message;
+  } finally {
+    ssh?.dispose();
+    output.done();
+    result.duration = Date.now() - started;
+  }
+
+  return result;
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function printSummary(results) {
+  const rows = results.map(r => [
+    r.name,
+    r.error ? "failed" : r.code === 0 ? "ok" : "error",
+    r.error ? null : r.code,
+    `${(r.duration / 1000).toFixed(1)}s`,
+    r.error
+  ]);
+
+  console.log("");
+  console.log(renderTable(["SERVER", "STATUS", "EXIT", "TIME", "ERROR"], rows));
+
+  const ok = results.filter(r => !r.error && r.code === 0).length;
+  const summary = `\n${results.length} server(s): ${ok} ok, ${results.length - ok} failed`;
+  if (ok === results.length) {
+    log.success(summary);
+  } else {
+    log.error(summary);
+  }
+}
+
+/**
+ * Runs one command on many saved servers in parallel
+ */
+export async function run(commandArgs = [], options = {}) {
+  if (!commandArgs.length) {
+    log.error("Provide a command. Usage: fastssh run --all -- <command...>");
+    process.exit(EXIT.USAGE);
+  }
+
+  const concurrency = Number.parseInt(options.concurrency ?? DEFAULT_CONCURRENCY, 10);
+  const timeoutSeconds = Number.parseFloat(options.timeout ?? DEFAULT_TIMEOUT_SECONDS);
+  if (!(concurrency > 0) || !(timeoutSeconds > 0)) {
+    log.error("--concurrency and --timeout must be positive numbers");
+    process.exit(EXIT.USAGE);
+  }
+
+  const targets = resolveTargets(options);
+  if (!targets.length) {
+    log.warn("No servers matched.");
+    return;
+  }
+
+  const command = commandArgs.join(" ");
+  const width = Math.max(...targets.map(name => name.length));
+  const runOptions = { timeoutMs: timeoutSeconds * 1000 };
+
+  const results = await mapWithConcurrency(targets, concurrency, name =>
+    runOnServer(name, command, runOptions, createOutput(name, width, options.group))
+  );
+
+  printSummary(results);
+
+  if (results.some(r => r.error || r.code !== 0)) {
+    process.exit(EXIT.FAILURE);
+  }
+}
@@ -0,0 +1,151 @@
+import os from "node:os";
+import path from "node:path";
+import { addServer, hasServer, listServerEntries, findServerByHostUser, findSecretNameClash } from "../config/store.js";
+import {
+  parseSSHConfig,
+  listHostAliases,
+  resolveHostOptions,
+  toServerEntry,
+  renderSSHConfig
+} from "../utils/ssh-config.js";
+import {
+  detectKeyType,
+  findDefaultKeyPath,
+  safeReadFile,
+  safeWriteFile,
+  validateServerName
+} from "../utils/edge-cases.js";
+import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+
+const SUPPORTED_FORMATS = ["ssh-config"];
+
+function expandHome(filePath) {
+  return filePath.startsWith("~") ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+function validateFormat(format) {
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    log.error(`Unsupported format '${format}'. Supported: ${SUPPORTED_FORMATS.join(", ")}`);
+    process.exit(EXIT.USAGE);
+  }
+}
+
+/**
+ * Imports Host blocks from an OpenSSH config: fastssh import ssh-config [path]
+ */
+export async function importSSHConfig(format, configPath, options = {}) {
+  validateFormat(format);
+
+  const sourcePath = configPath || path.join(os.homedir(), ".ssh", "config");
+  const read = safeReadFile(sourcePath);
+  if (!read.success) {
+    log.error(read.message);
+    process.exit(EXIT.USAGE);
+  }
+
+  const blocks = parseSSHConfig(read.content);
+  for (const block of blocks.filter(b => b.unsupported)) {
+    log.warn(`Skipping unsupported block: ${block.unsupported}`);
+  }
+
+  const aliases = listHostAliases(blocks);
+  if (!aliases.length) {
+    log.warn(`No Host entries found in ${sourcePath}`);
+    return;
+  }
+
+  const defaults = { user: os.userInfo().username, keyPath: findDefaultKeyPath() };
+  const importing = new Set(aliases.filter(alias => validateServerName(alias).valid));
+  let imported = 0;
+
+  for (const alias of aliases) {
+    // `name:path` (push/pull) and `@tag` selectors would misread such names
+    const nameCheck = validateServerName(alias);
+    if (!nameCheck.valid) {
+      log.warn(`• ${alias}: not a valid server name (${nameCheck.error}), skipped`);
+      continue;
+    }
+
+    const { entry, warnings, error } = toServerEntry(alias, resolveHostOptions(blocks, alias), defaults);
+    if (error) {
+      log.warn(`• ${alias}: ${error}, skipped`);
+      continue;
+    }
+
+    if (entry.jump && !importing.has(entry.jump) && !hasServer(entry.jump)) {
+      warnings.push(`ProxyJump '${entry.jump}' is not a saved server; jump was dropped`);
+      delete entry.jump;
+    }
+
+    if (hasServer(alias) && !options.force) {
+      log.warn(`• ${alias}: already saved, skipped (use --force to overwrite)`);
+      continue;
+    }
+
+    const duplicate = findServerByHostUser(entry.host, entry.user);
+    if (duplicate && duplicate !== alias) {
+      log.warn(`• ${alias}: ${entry.user}@${entry.host} is already saved as '${duplicate}', skipped`);
+      continue;
+    }
+
+    const clash = findSecretNameClash(alias);
+    if (clash) {
+      log.warn(`• ${alias}: its secrets would share environment variables with '${clash}', skipped`);
+      continue;
+    }
+
+    const keyFile = safeReadFile(entry.keyPath);
+    if (keyFile.success) {
+      entry.keyType = detectKeyType(keyFile.content) || undefined;
+    } else {
+      warnings.push(`key ${entry.keyPath} not found on this machine`);
+    }
+
+    if (!options.dryRun) {
+      try {
+        await addServer(alias, entry);
+      } catch (err) {
+        log.error(`• ${alias}: not imported: ${err.message}`);
+        process.exitCode = EXIT.FAILURE;
+        continue;
+      }
+    }
+    imported++;
+
+    const via = entry.jump ? ` via ${entry.jump}` : "";
+    log.success(`• ${alias}: ${entry.user}@${entry.host}:${entry.port}${via}`);
+    for (const warning of warnings) {
+      log.warn(`    ${warning}`);
+    }
+  }
+
+  const verb = options.dryRun ? "Would import" : "Imported";
+  log.info(`\n${verb} ${imported} of ${aliases.length} host(s) from ${sourcePath}`);
+}
+
+/**
+ * Renders saved servers as OpenSSH config: fastssh export ssh-config
+ */
+export function exportSSHConfig(format, options = {}) {
+  validateFormat(format);
+
+  const servers = Object.fromEntries(listServerEntries().map(({ name, ...server }) => [name, server]));
+  const content = renderSSHConfig(servers);
+
+  if (!options.out) {
+    process.stdout.write(content);
+    return;
+  }
+
+  const out = expandHome(options.out);
+  const result = safeWriteFile(out, content, { atomic: true, mode: 0o600 });
+  if (!result.success) {
+    log.error(`Could not write ${out}: ${result.message}`);
+    process.exit(EXIT.FAILURE);
+  }
+
+  log.success(`Wrote OpenSSH config to ${options.out}`);
+  log.info("Include it from the top of ~/.ssh/config with:");
+  log.info(`   Include ${options.out}`);
+}
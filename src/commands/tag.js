@@ -0,0 +1,86 @@
+import { hasServer, listServerEntries, updateServer } from "../config/store.js";
+import { ensurePersonalServer } from "./connect.js";
+import { isSelector, selectServers } from "../utils/selector.js";
+import { validateTag } from "../utils/edge-cases.js";
+import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+
+const ACTIONS = ["add", "remove", "list"];
+
+/**
+ * A plain name targets one server; a selector targets every match
+ */
+function resolveTagTargets(nameOrSelector) {
+  if (isSelector(nameOrSelector)) {
+    const names = selectServers(listServerEntries(), nameOrSelector);
+    if (!names.length) {
+      log.error(`No servers match '${nameOrSelector}'.`);
+      process.exit(EXIT.USAGE);
+    }
+    return names;
+  }
+
+  if (!hasServer(nameOrSelector)) {
+    log.error(`Server '${nameOrSelector}' not found.`);
+    process.exit(EXIT.FAILURE);
+  }
+  return [nameOrSelector];
+}
+
+function validateTags(tags) {
+  if (!tags.length) {
+    log.error("Provide at least one tag. Usage: fastssh tag <name> add|remove <tag...>");
+    process.exit(EXIT.USAGE);
+  }
+
+  for (const tag of tags) {
+    const check = validateTag(tag);
+    if (!check.valid) {
+      log.error(check.error);
+      process.exit(EXIT.USAGE);
+    }
+  }
+}
+
+/**
+ * Manages tags on saved servers: fastssh tag <name|@selector> [add|remove|list] [tags...]
+ */
+export function tag(nameOrSelector, action = "list", tags = []) {
+  if (!ACTIONS.includes(action)) {
+    log.error(`Unknown action '${action}'. Use one of: ${ACTIONS.join(", ")}`);
+    process.exit(EXIT.USAGE);
+  }
+
+  let names = resolveTagTargets(nameOrSelector);
+  const saved = Object.fromEntries(listServerEntries().map(entry => [entry.name, entry]));
+
+  if (action === "list") {
+    for (const name of names) {
+      const cfg = saved[name];
+      log.info(`${name}: ${cfg.tags?.length ? cfg.tags.join(", ") : "(no tags)"}`);
+    }
+    return;
+  }
+
+  validateTags(tags);
+
+  // Tags on shared entries belong in the project file
+  if (!isSelector(nameOrSelector)) {
+    ensurePersonalServer(nameOrSelector);
+  }
+  const shared = names.filter(name => saved[name].source === "project");
+  if (shared.length) {
+    log.warn(`Skipping project servers: ${shared.join(", ")}`);
+    names = names.filter(name => !shared.includes(name));
+  }
+
+  for (const name of names) {
+    const current = saved[name].tags || [];
+    const next = action === "add"
+      ? [...new Set([...current, ...tags])]
+      : current.filter(existing => !tags.includes(existing));
+
+    updateServer(name, { tags: next });
+    log.success(`${name}: ${next.length ? next.join(", ") : "(no tags)"}`);
+  }
+}
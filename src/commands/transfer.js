@@ -0,0 +1,224 @@
+import fs from "node:fs";
+import path from "node:path";
+import { hasServer } from "../config/store.js";
+import { resolveServerName, loadServerOrExit, openConnection, exitWithConnectionError } from "./connect.js";
+import { isSelector } from "../utils/selector.js";
+import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+
+/**
+ * Splits a `name:path` argument when `name` is a saved server
+ * Selectors may contain colons (`@env:prod:/srv`), so they split at the last one.
+ * Anything else is a plain path. `C:\...` is always a Windows drive, even when a
+ * server happens to be called `C`.
+ */
+export function parseRemoteSpec(spec, isSaved = hasServer) {
+  if (/^[a-zA-Z]:\\/.test(spec)) return null;
+
+  if (isSelector(spec)) {
+    const index = spec.lastIndexOf(":");
+    if (index <= 1) return null;
+    return { name: spec.slice(0, index), path: spec.slice(index + 1) || "." };
+  }
+
+  const index = spec.indexOf(":");
+  if (index <= 0) return null;
+
+  const name = spec.slice(0, index);
+  if (!isSaved(name)) return null;
+
+  return { name, path: spec.slice(index + 1) || "." };
+}
+
+/**
+ * SFTP paths are relative to the remote home already, so `~/` is dropped
+ */
+function toSftpPath(remotePath) {
+  if (remotePath === "~") return ".";
+  return remotePath.startsWith("~/") ? remotePath.slice(2) : remotePath;
+}
+
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Progress reporter for a single-file transfer (stderr, TTY only)
+ */
+function createFileProgress(label) {
+  return {
+    step: (transferred, _chunk, total) => {
+      if (!process.stderr.isTTY) return;
+      const percent = total ? Math.floor((transferred / total) * 100) : 100;
+      process.stderr.write(`\r${label}  ${percent}%  ${formatBytes(transferred)} / ${formatBytes(total)}`);
+    },
+    done: () => {
+      if (process.stderr.isTTY) process.stderr.write("\n");
+    }
+  };
+}
+
+/**
+ * Per-file progress for directory transfers
+ */
+function directoryTick(localPath, remotePath, error) {
+  const file = path.basename(localPath);
+  if (error) {
+    log.error(`   ✗ ${file}: ${error.message}`);
+  } else {
+    log.info(`   ✓ ${file}`);
+  }
+}
+
+function statRemote(sftp, remotePath) {
+  return new Promise((resolve) => {
+    sftp.stat(remotePath, (err, stats) => resolve(err ? null : stats));
+  });
+}
+
+/**
+ * Accepts either `<name> <first> <second>` or the scp-like `name:path` form
+ * `remoteIndex` is where the `name:path` argument goes: 1 for push, 0 for pull.
+ */
+export function resolveTransferArgs(args, usage, remoteIndex, isSaved = hasServer) {
+  if (args.length === 3) {
+    const [name, ...paths] = args;
+    return { name, paths };
+  }
+
+  if (args.length === 2) {
+    const spec = parseRemoteSpec(args[remoteIndex], isSaved);
+    if (spec) {
+      const paths = [...args];
+      paths[remoteIndex] = spec.path;
+      return { name: spec.name, paths };
+    }
+  }
+
+  log.error(`Usage: ${usage}`);
+  process.exit(EXIT.USAGE);
+}
+
+async function withServerConnection(selector, task) {
+  const name = await resolveServerName(selector);
+  const cfg = await loadServerOrExit(name);
+
+  let ssh;
+  try {
+    ssh = await openConnection(name, cfg);
+  } catch (err) {
+    exitWithConnectionError(err, name, cfg);
+  }
+
+  try {
+    await task(ssh);
+  } catch (err) {
+    log.error(`Transfer failed: ${err.message}`);
+    process.exitCode = EXIT.FAILURE;
+  } finally {
+    ssh.dispose();
+  }
+}
+
+/**
+ * Uploads a file or directory: fastssh push <name> <local> <remote>
+ */
+export async function push(args, options = {}) {
+  const { name, paths } = resolveTransferArgs(
+    args,
+    "fastssh push <name> <local> <remote>  or  fastssh push <local> <name>:<remote>",
+    1
+  );
+  const localPath = paths[0];
+  const remotePath = toSftpPath(paths[1]);
+
+  const localStats = fs.existsSync(localPath) ? fs.statSync(localPath) : null;
+  if (!localStats) {
+    log.error(`Local path not found: ${localPath}`);
+    process.exit(EXIT.USAGE);
+  }
+  if (localStats.isDirectory() && !options.recursive) {
+    log.error(`${localPath} is a directory. Use -r to copy it recursively.`);
+    process.exit(EXIT.USAGE);
+  }
+
+  await withServerConnection(name, async (ssh) => {
+    const sftp = await ssh.requestSFTP();
+    try {
+      if (localStats.isDirectory()) {
+        log.info(`Uploading directory ${localPath} → ${name}:${remotePath}`);
+        const ok = await ssh.putDirectory(localPath, remotePath, { sftp, recursive: true, tick: directoryTick });
+        if (!ok) throw new Error("some files could not be uploaded");
+        log.success("Upload complete");
+        return;
+      }
+
+      // Copying onto an existing directory places the file inside it
+      const remoteStats = await statRemote(sftp, remotePath);
+      const target = remotePath.endsWith("/") || remoteStats?.isDirectory()
+        ? path.posix.join(remotePath, path.basename(localPath))
+        : remotePath;
+
+      const progress = createFileProgress(path.basename(localPath));
+      await ssh.putFile(localPath, target, sftp, { step: progress.step });
+      progress.done();
+      log.success(`Uploaded ${localPath} → ${name}:${target} (${formatBytes(localStats.size)})`);
+    } finally {
+      sftp.end();
+    }
+  });
+}
+
+/**
+ * Downloads a file or directory: fastssh pull <name> <remote> <local>
+ */
+export async function pull(args, options = {}) {
+  const { name, paths } = resolveTransferArgs(
+    args,
+    "fastssh pull <name> <remote> <local>  or  fastssh pull <name>:<remote> <local>",
+    0
+  );
+  const remotePath = toSftpPath(paths[0]);
+  const localPath = paths[1];
+
+  await withServerConnection(name, async (ssh) => {
+    const sftp = await ssh.requestSFTP();
+    try {
+      const remoteStats = await statRemote(sftp, remotePath);
+      if (!remoteStats) {
+        throw new Error(`Remote path not found: ${remotePath}`);
+      }
+
+      if (remoteStats.isDirectory()) {
+        if (!options.recursive) {
+          throw new Error(`${remotePath} is a directory. Use -r to copy it recursively.`);
+        }
+        fs.mkdirSync(localPath, { recursive: true });
+        log.info(`Downloading directory ${name}:${remotePath} → ${localPath}`);
+        const ok = await ssh.getDirectory(localPath, remotePath, { sftp, recursive: true, tick: directoryTick });
+        if (!ok) throw new Error("some files could not be downloaded");
+        log.success("Download complete");
+        return;
+      }
+
+      // Copying into an existing directory keeps the remote file name
+      const target = fs.existsSync(localPath) && fs.statSync(localPath).isDirectory()
+        ? path.join(localPath, path.posix.basename(remotePath))
+        : localPath;
+
+      const progress = createFileProgress(path.posix.basename(remotePath));
+      await ssh.getFile(target, remotePath, sftp, { step: progress.step });
+      progress.done();
+      log.success(`Downloaded ${name}:${remotePath} → ${target} (${formatBytes(remoteStats.size)})`);
+    } finally {
+      sftp.end();
+    }
+  });
+}
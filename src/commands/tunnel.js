@@ -0,0 +1,186 @@
+import net from "node:net";
+import { saveTunnel } from "../config/store.js";
+import { resolveServerName, loadServerOrExit, openConnection, exitWithConnectionError, ensurePersonalServer } from "./connect.js";
+import { parseForwardSpec, describeForward, handleSocks5, pipeBoth } from "../utils/tunnel.js";
+import { log } from "../utils/logger.js";
+import { EXIT } from "../utils/exit-codes.js";
+
+/**
+ * Commander collector for repeatable -L/-R/-D options
+ */
+export function collectForward(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Turns -L/-R/-D option values into stored spec strings like "-L 5432:localhost:5432"
+ */
+function specsFromOptions(options) {
+  return ["L", "R", "D"].flatMap(type => (options[type] || []).map(spec => `-${type} ${spec}`));
+}
+
+function parseSpecs(specs) {
+  return specs.map(entry => {
+    const [flag, spec] = entry.split(/\s+/, 2);
+    const result = parseForwardSpec(flag.replace(/^-/, ""), spec);
+    if (!result.valid) {
+      log.error(result.error);
+      process.exit(EXIT.USAGE);
+    }
+    return result.forward;
+  });
+}
+
+function listSavedTunnels(name, cfg) {
+  const saved = Object.entries(cfg.tunnels || {});
+  if (!saved.length) {
+    log.info(`No saved tunnels for '${name}'.`);
+    log.info(`Save one with: fastssh tunnel ${name} -L 5432:localhost:5432 --save db`);
+    return;
+  }
+
+  log.info(`Saved tunnels for '${name}':`);
+  for (const [label, specs] of saved) {
+    console.log(`• ${label}: ${specs.join(" ")}`);
+  }
+}
+
+function listen(server, port, host) {
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.removeListener("error", reject);
+      resolve();
+    });
+  });
+}
+
+function startLocalForward(conn, forward) {
+  const server = net.createServer(socket => {
+    conn.forwardOut(socket.remoteAddress || "127.0.0.1", socket.remotePort || 0, forward.host, forward.hostPort, (err, stream) => {
+      if (err) {
+        log.warn(`-L ${forward.spec}: ${err.message}`);
+        socket.destroy();
+        return;
+      }
+      pipeBoth(socket, stream);
+    });
+  });
+  return listen(server, forward.bindPort, forward.bindAddress).then(() => server);
+}
+
+function startDynamicForward(conn, forward) {
+  const server = net.createServer(socket => {
+    handleSocks5(socket, (host, port, callback) => {
+      conn.forwardOut(socket.remoteAddress || "127.0.0.1", socket.remotePort || 0, host, port, callback);
+    });
+  });
+  return listen(server, forward.bindPort, forward.bindAddress).then(() => server);
+}
+
+function startRemoteForward(conn, forward) {
+  return new Promise((resolve, reject) => {
+    conn.forwardIn(forward.bindAddress, forward.bindPort, (err, port) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      // Port 0 asks the server to pick one
+      forward.boundPort = port || forward.bindPort;
+      resolve(null);
+    });
+  });
+}
+
+/**
+ * Opens port forwards over a saved server's SSH connection
+ * `fastssh tunnel <name> -L/-R/-D ...` or `fastssh tunnel <name> <saved-label>`
+ */
+export async function tunnel(selector, label, options = {}) {
+  const name = await resolveServerName(selector);
+  const cfg = await loadServerOrExit(name);
+
+  let specs = specsFromOptions(options);
+  if (!specs.length && label) {
+    specs = cfg.tunnels?.[label];
+    if (!specs) {
+      log.error(`No saved tunnel '${label}' for '${name}'.`);
+      listSavedTunnels(name, cfg);
+      process.exit(EXIT.USAGE);
+    }
+  }
+
+  if (!specs.length) {
+    listSavedTunnels(name, cfg);
+    return;
+  }
+
+  const forwards = parseSpecs(specs);
+
+  if (options.save) {
+    ensurePersonalServer(name);
+  }
+
+  let ssh;
+  try {
+    ssh = await openConnection(name, cfg);
+  } catch (err) {
+    exitWithConnectionError(err, name, cfg);
+  }
+
+  const conn = ssh.connection;
+  const remoteForwards = forwards.filter(f => f.type === "R");
+
+  conn.on("tcp connection", (info, accept, reject) => {
+    const forward = remoteForwards.find(f => f.boundPort === info.destPort);
+    if (!forward) {
+      reject();
+      return;
+    }
+    const socket = net.connect(forward.hostPort, forward.host);
+    socket.once("connect", () => pipeBoth(socket, accept()));
+    socket.once("error", err => {
+      log.warn(`-R ${forward.spec}: ${err.message}`);
+      reject();
+    });
+  });
+
+  const servers = [];
+  try {
+    for (const forward of forwards) {
+      const start = { L: startLocalForward, R: startRemoteForward, D: startDynamicForward }[forward.type];
+      const server = await start(conn, forward);
+      if (server) servers.push(server);
+      log.success(`   ${describeForward(forward)}`);
+    }
+  } catch (err) {
+    log.error(`Could not open forward: ${err.message}`);
+    servers.forEach(server => server.close());
+    ssh.dispose();
+    process.exit(EXIT.FAILURE);
+  }
+
+  // Saved only once it works, so a typo or a busy port is not recalled later
+  if (options.save) {
+    saveTunnel(name, options.save, specs);
+    log.success(`Saved tunnel '${options.save}'. Recall it with: fastssh tunnel ${name} ${options.save}`);
+  }
+
+  log.info(`\nTunnel open through ${cfg.user}@${cfg.host}. Press Ctrl-C to close.`);
+
+  const shutdown = (code) => {
+    servers.forEach(server => server.close());
+    ssh.dispose();
+    process.exit(code);
+  };
+
+  conn.on("close", () => {
+    log.error("\nConnection to server closed. Tunnel is down.");
+    shutdown(EXIT.CONNECTION_FAILED);
+  });
+
+  process.on("SIGINT", () => {
+    log.info("\nClosing tunnel...");
+    shutdown(EXIT.OK);
+  });
+}
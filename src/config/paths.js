@@ -0,0 +1,113 @@
+/**
+ * Where fastssh keeps its data, and which profile is in use
+ *
+ * Home:    $FASTSSH_HOME, or ~/.fastssh
+ * Config:  <home>/config.json for the default profile,
+ *          <home>/profiles/<name>/config.json for the others,
+ *          or the file given with --config
+ * Profile: --profile, then $FASTSSH_PROFILE, then `fastssh profile use`
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { safeWriteFile } from "../utils/edge-cases.js";
+
+export const DEFAULT_PROFILE = "default";
+
+const KEYCHAIN_SERVICE = "fastssh";
+
+// Set from the global --config / --profile options
+const overrides = { configPath: null, profile: null };
+
+function expandHome(filePath) {
+  return filePath.startsWith("~") ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+export function configurePaths({ configPath, profile } = {}) {
+  overrides.configPath = configPath ? path.resolve(expandHome(configPath)) : null;
+  overrides.profile = profile || null;
+}
+
+export function getFastsshHome() {
+  const home = process.env.FASTSSH_HOME;
+  return home ? path.resolve(expandHome(home)) : path.join(os.homedir(), ".fastssh");
+}
+
+function activeProfileFile() {
+  return path.join(getFastsshHome(), "active-profile");
+}
+
+/**
+ * Profile names become directory and keychain names
+ */
+export function validateProfileName(name) {
+  if (!name || typeof name !== "string") {
+    return { valid: false, error: "Profile name must be a non-empty string" };
+  }
+
+  if (!/^[a-zA-Z0-9_-]+$/.test(name) || name.length > 32) {
+    return { valid: false, error: `Profile '${name}' may only contain letters, digits, '-' and '_' (max 32)` };
+  }
+
+  return { valid: true };
+}
+
+export function getActiveProfile() {
+  if (overrides.profile) return overrides.profile;
+  if (process.env.FASTSSH_PROFILE) return process.env.FASTSSH_PROFILE;
+
+  try {
+    return fs.readFileSync(activeProfileFile(), "utf8").trim() || DEFAULT_PROFILE;
+  } catch {
+    return DEFAULT_PROFILE;
+  }
+}
+
+export function setActiveProfile(name) {
+  const result = safeWriteFile(activeProfileFile(), `${name}\n`, { atomic: true, mode: 0o600, dirMode: 0o700 });
+  if (!result.success) {
+    throw new Error(`Could not save the active profile: ${result.message}`);
+  }
+}
+
+export function profileConfigPath(profile, home = getFastsshHome()) {
+  return profile === DEFAULT_PROFILE
+    ? path.join(home, "config.json")
+    : path.join(home, "profiles", profile, "config.json");
+}
+
+export function getConfigFile() {
+  return overrides.configPath || profileConfigPath(getActiveProfile());
+}
+
+/**
+ * Each config file keeps its secrets under its own keychain service
+ * The default profile keeps the original "fastssh" service and other profiles
+ * use "fastssh:<profile>". Configs elsewhere (another FASTSSH_HOME, --config)
+ * get "fastssh@<hash of the config path>", so a scratch config can never
+ * overwrite or delete the secrets of the real one.
+ */
+export function getKeychainService() {
+  const defaultHome = path.join(os.homedir(), ".fastssh");
+  const file = getConfigFile();
+  const profile = getActiveProfile();
+
+  if (file === profileConfigPath(DEFAULT_PROFILE, defaultHome)) return KEYCHAIN_SERVICE;
+  if (file === profileConfigPath(profile, defaultHome)) return `${KEYCHAIN_SERVICE}:${profile}`;
+
+  const id = crypto.createHash("sha256").update(file).digest("hex").slice(0, 12);
+  return `${KEYCHAIN_SERVICE}@${id}`;
+}
+
+/**
+ * Profiles that have a config directory, plus the default one
+ */
+export function listProfiles() {
+  const profilesDir = path.join(getFastsshHome(), "profiles");
+  const named = fs.existsSync(profilesDir)
+    ? fs.readdirSync(profilesDir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name)
+    : [];
+  return [DEFAULT_PROFILE, ...named.filter(name => name !== DEFAULT_PROFILE).sort()];
+}
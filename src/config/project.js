@@ -0,0 +1,114 @@
+/**
+ * Shared, project-local server inventory (.fastssh.json / .fastssh.yaml)
+ * Found in the current directory or its parents and merged under the
+ * personal config. It holds connection details only: secrets are rejected,
+ * and a missing user or key falls back to the person running fastssh.
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import YAML from "yaml";
+import { safeParseJSON, findDefaultKeyPath } from "../utils/edge-cases.js";
+import { validateServerEntry } from "./schema.js";
+
+export const PROJECT_FILES = [".fastssh.json", ".fastssh.yaml", ".fastssh.yml"];
+
+const SHARED_FIELDS = [
+  "host", "user", "port", "jump", "tags", "group", "description", "hostKey", "keyPath", "keyType",
+  "keepaliveInterval", "keepaliveCountMax"
+];
+const SECRET_FIELDS = ["passphrase", "password", "privateKey", "secret", "token"];
+
+/**
+ * Walks up from `startDir` and returns the first project file found, or null
+ */
+export function findProjectFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const found = PROJECT_FILES.map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+    if (found) return found;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function parseContent(content, filePath) {
+  if (filePath.endsWith(".json")) {
+    return safeParseJSON(content);
+  }
+
+  try {
+    return { success: true, data: YAML.parse(content) };
+  } catch (err) {
+    return { success: false, error: "INVALID_YAML", message: `Invalid YAML: ${err.message}` };
+  }
+}
+
+/**
+ * Turns one shared entry into a usable server entry
+ * Returns { entry, issues }; `entry` is null when the entry must be skipped.
+ */
+function normalizeEntry(name, raw, defaults) {
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    return { entry: null, issues: [`server '${name}': entry must be an object`] };
+  }
+
+  const secrets = SECRET_FIELDS.filter(field => field in raw);
+  if (secrets.length) {
+    return {
+      entry: null,
+      issues: [`server '${name}': ${secrets.join(", ")} must not be in a shared file; entry skipped`]
+    };
+  }
+
+  const issues = Object.keys(raw)
+    .filter(field => !SHARED_FIELDS.includes(field))
+    .map(field => `server '${name}': unknown field '${field}' ignored`);
+
+  const shared = Object.fromEntries(SHARED_FIELDS.filter(field => field in raw).map(field => [field, raw[field]]));
+  const entry = {
+    ...shared,
+    user: shared.user || defaults.user,
+    port: shared.port ?? 22,
+    authType: "key",
+    keyPath: shared.keyPath || defaults.keyPath
+  };
+
+  return { entry, issues };
+}
+
+/**
+ * Parses project file content: `{ servers: { <name>: { host, user?, port?, ... } } }`
+ * Returns { success, servers, issues } or { success: false, error, message }
+ */
+export function parseProjectFile(content, filePath, defaults = {}) {
+  const parsed = parseContent(content, filePath);
+  if (!parsed.success) return parsed;
+
+  const servers = parsed.data?.servers;
+  if (servers === null || typeof servers !== "object" || Array.isArray(servers)) {
+    return { success: false, error: "INVALID_SHAPE", message: "Expected a 'servers' map" };
+  }
+
+  const resolvedDefaults = {
+    user: defaults.user || os.userInfo().username,
+    keyPath: defaults.keyPath || findDefaultKeyPath()
+  };
+
+  const result = {};
+  const issues = [];
+  for (const [name, raw] of Object.entries(servers)) {
+    const { entry, issues: entryIssues } = normalizeEntry(name, raw, resolvedDefaults);
+    issues.push(...entryIssues);
+    if (entry) result[name] = entry;
+  }
+
+  for (const [name, entry] of Object.entries(result)) {
+    issues.push(...validateServerEntry(name, entry, result));
+  }
+
+  return { success: true, servers: result, issues };
+}
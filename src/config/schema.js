@@ -0,0 +1,169 @@
+/**
+ * Config file schema: versioning, migrations and validation
+ * The file is `{ version, servers: { <name>: entry }, settings? }`; files written before
+ * versioning were a bare `{ <name>: entry }` map and count as version 0.
+ */
+
+import {
+  safeParseJSON,
+  checkSSHConfigIssues,
+  validateHostname,
+  validateUsername,
+  validateTag,
+  validateKeepalive,
+  KEEPALIVE_DEFAULTS
+} from "../utils/edge-cases.js";
+
+export const CONFIG_VERSION = 1;
+
+const STRING_FIELDS = ["host", "user", "keyPath", "authType", "jump"];
+
+/**
+ * Upgrades a document from the keyed version to the next one
+ */
+const MIGRATIONS = {
+  0: (doc) => ({ version: 1, servers: doc })
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+export function emptyConfig() {
+  return { version: CONFIG_VERSION, servers: {} };
+}
+
+/**
+ * Brings a parsed document up to CONFIG_VERSION
+ * Returns { success, doc, migrated } or { success: false, error, message }
+ */
+export function migrateConfig(raw) {
+  if (!isPlainObject(raw)) {
+    return { success: false, error: "INVALID_SHAPE", message: "Config must be a JSON object" };
+  }
+
+  // A version-0 file is a bare map, where "version" could only name a server entry
+  const versioned = raw.version !== undefined && !isPlainObject(raw.version);
+  if (versioned && !(Number.isInteger(raw.version) && raw.version >= 0)) {
+    return { success: false, error: "INVALID_SHAPE", message: "Config 'version' must be a whole number of 0 or more" };
+  }
+
+  let doc = raw;
+  let version = versioned ? raw.version : 0;
+
+  if (version > CONFIG_VERSION) {
+    return {
+      success: false,
+      error: "NEWER_VERSION",
+      message: `Config version ${version} was written by a newer fastssh (this one reads up to ${CONFIG_VERSION})`
+    };
+  }
+
+  const migrated = version < CONFIG_VERSION;
+  while (version < CONFIG_VERSION) {
+    doc = MIGRATIONS[version](doc);
+    version = doc.version;
+  }
+
+  if (!isPlainObject(doc.servers)) {
+    return { success: false, error: "INVALID_SHAPE", message: "Config 'servers' must be an object" };
+  }
+
+  return { success: true, doc, migrated };
+}
+
+/**
+ * Lists problems with one server entry; none of them stop fastssh from loading
+ */
+export function validateServerEntry(name, entry, servers = {}) {
+  // The checks below call string methods on these
+  const wrongType = STRING_FIELDS.filter(field => entry[field] !== undefined && typeof entry[field] !== "string");
+  if (wrongType.length) {
+    return wrongType.map(field => `server '${name}': ${field} must be a string`);
+  }
+
+  const issues = [...checkSSHConfigIssues(entry).issues];
+
+  if (entry.host && !entry.host.includes(" ")) {
+    const check = validateHostname(entry.host);
+    if (!check.valid) issues.push(check.error);
+  }
+
+  if (entry.user && !entry.user.includes(" ")) {
+    const check = validateUsername(entry.user);
+    if (!check.valid) issues.push(check.error);
+  }
+
+  if (entry.jump && !servers[entry.jump]) {
+    issues.push(`Jump server '${entry.jump}' is not saved`);
+  }
+
+  if (entry.tags !== undefined) {
+    if (!Array.isArray(entry.tags)) {
+      issues.push("Tags must be a list");
+    } else {
+      entry.tags.map(validateTag).filter(check => !check.valid).forEach(check => issues.push(check.error));
+    }
+  }
+
+  return issues.map(issue => `server '${name}': ${issue}`);
+}
+
+/**
+ * Names of the global settings, which share their meaning with entry fields
+ */
+export const SETTINGS = Object.keys(KEEPALIVE_DEFAULTS);
+
+/**
+ * Lists problems with the global settings; like entry problems, none are fatal
+ */
+export function validateSettings(settings) {
+  if (settings === undefined) return [];
+  if (!isPlainObject(settings)) return ["settings: must be an object"];
+
+  return Object.entries(settings).flatMap(([key, value]) => {
+    if (!SETTINGS.includes(key)) return [`settings: unknown setting '${key}'`];
+    const check = validateKeepalive(key, value);
+    return check.valid ? [] : [`settings: ${check.error}`];
+  });
+}
+
+/**
+ * JSON.parse reports a character position; hand editors need a line and column
+ */
+function withLineNumber(content, message) {
+  const match = message.match(/at position (\d+)/);
+  if (!match) return message;
+
+  const before = content.slice(0, Number(match[1])).split("\n");
+  return `${message} (line ${before.length}, column ${before.at(-1).length + 1})`;
+}
+
+/**
+ * Parses, migrates and validates config file content
+ * Returns { success, doc, migrated, issues } or { success: false, error, message }.
+ * Entries that are not objects make the whole file invalid, since every
+ * command would trip over them. `knownServers` are other servers a jump may name.
+ */
+export function parseConfig(content, knownServers = {}) {
+  const parsed = safeParseJSON(content);
+  if (!parsed.success) {
+    return { ...parsed, message: withLineNumber(content, parsed.message) };
+  }
+
+  const result = migrateConfig(parsed.data);
+  if (!result.success) return result;
+
+  const { servers } = result.doc;
+  const broken = Object.keys(servers).filter(name => !isPlainObject(servers[name]));
+  if (broken.length) {
+    return { success: false, error: "INVALID_ENTRY", message: `Entries are not objects: ${broken.join(", ")}` };
+  }
+
+  const all = { ...knownServers, ...servers };
+  const issues = [
+    ...validateSettings(result.doc.settings),
+    ...Object.entries(servers).flatMap(([name, entry]) => validateServerEntry(name, entry, all))
+  ];
+  return { ...result, issues };
+}
@@ -0,0 +1,198 @@
+/**
+ * Where server secrets (key passphrases) are kept
+ *
+ * keychain  the OS keychain through keytar (macOS Keychain, libsecret, Windows)
+ * file      an encrypted vault at <home>/secrets.vault, unlocked with a master
+ *           password ($FASTSSH_VAULT_PASSWORD, or prompted)
+ * env       read-only: FASTSSH_<KIND>_<SERVER>, e.g. FASTSSH_PASSPHRASE_WEB1; for CI
+ *
+ * The keychain is used when keytar loads and answers; otherwise the file vault.
+ * $FASTSSH_SECRETS picks a backend explicitly.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import inquirer from "inquirer";
+import { getFastsshHome } from "./paths.js";
+import { encryptArchive, decryptArchive } from "../utils/archive.js";
+import { safeWriteFile, safeParseJSON } from "../utils/edge-cases.js";
+import { withFileLock } from "../utils/lock.js";
+
+export const SECRETS_BACKENDS = ["keychain", "file", "env"];
+
+let selected = null;
+
+async function loadKeytar() {
+  const module = await import("keytar");
+  const keytar = module.default || module;
+  // keytar loads on headless Linux but throws once it needs D-Bus; ask it something
+  await keytar.findCredentials("fastssh-probe");
+  return keytar;
+}
+
+function keychainBackend(keytar) {
+  return {
+    name: "keychain",
+    get: (service, account) => keytar.getPassword(service, account),
+    set: (service, account, value) => keytar.setPassword(service, account, value),
+    delete: (service, account) => keytar.deletePassword(service, account)
+  };
+}
+
+export function getVaultPath() {
+  return path.join(getFastsshHome(), "secrets.vault");
+}
+
+function fileBackend() {
+  let password = null;
+  let cache = null;
+
+  async function unlock() {
+    if (password) return password;
+    if (process.env.FASTSSH_VAULT_PASSWORD) {
+      password = process.env.FASTSSH_VAULT_PASSWORD;
+      return password;
+    }
+
+    if (!process.stdin.isTTY) {
+      throw new Error("The secrets vault is locked: set FASTSSH_VAULT_PASSWORD");
+    }
+
+    const creating = !fs.existsSync(getVaultPath());
+    const answers = await inquirer.prompt([
+      {
+        name: "password",
+        type: "password",
+        message: creating ? "Choose a master password for the fastssh vault:" : "fastssh vault password:",
+        validate: (input) => Boolean(input) || "A master password is required"
+      }
+    ]);
+    password = answers.password;
+    return password;
+  }
+
+  // Decrypting runs scrypt, so the open vault is kept for this process
+  function read() {
+    const file = getVaultPath();
+    if (!fs.existsSync(file)) return {};
+
+    const { mtimeMs } = fs.statSync(file);
+    if (cache?.mtimeMs === mtimeMs) return cache.secrets;
+
+    const result = decryptArchive(fs.readFileSync(file, "utf8"), password);
+    if (!result.success) {
+      password = null;
+      throw new Error(`Could not open ${file}: ${result.message}`);
+    }
+    cache = { mtimeMs, secrets: result.payload };
+    return cache.secrets;
+  }
+
+  // Secret names sit beside the sealed data (server names are in config.json
+  // anyway), so looking up a secret that was never stored needs no password
+  function seal(secrets) {
+    const archive = JSON.parse(encryptArchive(secrets, password));
+    return `${JSON.stringify({ ...archive, keys: Object.keys(secrets) }, null, 2)}\n`;
+  }
+
+  // False only when the vault is known not to hold the secret; vaults written
+  // before names were listed have to be opened to tell
+  function mayHold(id) {
+    const file = getVaultPath();
+    if (!fs.existsSync(file)) return false;
+    const keys = safeParseJSON(fs.readFileSync(file, "utf8")).data?.keys;
+    return !Array.isArray(keys) || keys.includes(id);
+  }
+
+  async function update(mutate) {
+    await unlock();
+    const file = getVaultPath();
+    withFileLock(`${file}.lock`, () => {
+      const secrets = { ...read() };
+      mutate(secrets);
+      const written = safeWriteFile(file, seal(secrets), {
+        atomic: true, mode: 0o600, dirMode: 0o700
+      });
+      if (!written.success) {
+        throw new Error(`Could not write ${file}: ${written.message}`);
+      }
+      cache = { mtimeMs: fs.statSync(file).mtimeMs, secrets };
+    });
+  }
+
+  return {
+    name: "file",
+    async get(service, account) {
+      if (!mayHold(`${service}/${account}`)) return null;
+      await unlock();
+      return read()[`${service}/${account}`] || null;
+    },
+    set: (service, account, value) => update((secrets) => {
+      secrets[`${service}/${account}`] = value;
+    }),
+    async delete(service, account) {
+      if (!mayHold(`${service}/${account}`)) return;
+      await update((secrets) => {
+        delete secrets[`${service}/${account}`];
+      });
+    }
+  };
+}
+
+/**
+ * FASTSSH_PASSPHRASE_WEB1 for account "web1:passphrase"
+ */
+export function envSecretName(account) {
+  const [name, kind] = account.split(":");
+  return `FASTSSH_${kind}_${name}`.toUpperCase().replace(/[^A-Z0-9_]/g, "_");
+}
+
+function envBackend() {
+  return {
+    name: "env",
+    get: async (service, account) => process.env[envSecretName(account)] || null,
+    async set(service, account) {
+      throw new Error(`The env secrets backend cannot store secrets; set ${envSecretName(account)} instead`);
+    },
+    async delete() {}
+  };
+}
+
+async function selectBackend() {
+  const requested = process.env.FASTSSH_SECRETS;
+  if (requested) {
+    if (!SECRETS_BACKENDS.includes(requested)) {
+      throw new Error(`FASTSSH_SECRETS must be one of: ${SECRETS_BACKENDS.join(", ")}`);
+    }
+    if (requested === "file") return { backend: fileBackend(), reason: "set by FASTSSH_SECRETS" };
+    if (requested === "env") return { backend: envBackend(), reason: "set by FASTSSH_SECRETS" };
+    return { backend: keychainBackend(await loadKeytar()), reason: "set by FASTSSH_SECRETS" };
+  }
+
+  try {
+    return { backend: keychainBackend(await loadKeytar()), reason: "OS keychain available" };
+  } catch (err) {
+    return { backend: fileBackend(), reason: `OS keychain unavailable: ${err.message.split("\n")[0]}` };
+  }
+}
+
+/**
+ * The active backend: { name, get, set, delete }, all async
+ * Chosen on first use, so commands that never touch secrets never load keytar.
+ */
+export async function getSecretsBackend() {
+  selected ??= await selectBackend();
+  return selected.backend;
+}
+
+/**
+ * Which backend is active and why, for `fastssh diagnose`
+ */
+export async function describeSecretsBackend() {
+  try {
+    await getSecretsBackend();
+    return { name: selected.backend.name, reason: selected.reason };
+  } catch (err) {
+    return { name: process.env.FASTSSH_SECRETS, reason: err.message, error: true };
+  }
+}
@@ -1,58 +1,382 @@
 import fs from "node:fs";
-import os from "node:os";
 import path from "node:path";
-import keytar from "keytar";
+import { validatePort, validateAuthType, safeWriteFile, backupPaths } from "../utils/edge-cases.js";
+import { withFileLock } from "../utils/lock.js";
+import { EXIT } from "../utils/exit-codes.js";
+import { parseConfig, emptyConfig } from "./schema.js";
+import { getConfigFile, getKeychainService } from "./paths.js";
+import { findProjectFile, parseProjectFile } from "./project.js";
+import { getSecretsBackend, envSecretName } from "./secrets.js";
 
-const dir = path.join(os.homedir(), ".fastssh");
-const file = path.join(dir, "config.json");
-const service = "fastssh";
+// Previous versions kept as config.json.bak (newest) to config.json.bak.4
+const BACKUP_COUNT = 5;
 
+// Keychain accounts kept per server as `${name}:${kind}`
+const SECRET_KINDS = ["passphrase", "password"];
+
+let issuesReported = false;
+let projectCache = null;
+let projectIssuesReported = false;
+
+/**
+ * The shared inventory for the current directory, or null
+ * A broken shared file is reported once and skipped so personal servers keep working.
+ * Set FASTSSH_NO_PROJECT=1 to ignore project files entirely.
+ */
+function loadProject() {
+  if (process.env.FASTSSH_NO_PROJECT) return null;
+
+  const projectFile = findProjectFile();
+  if (!projectFile) return null;
+
+  const { mtimeMs } = fs.statSync(projectFile);
+  if (projectCache?.file !== projectFile || projectCache.mtimeMs !== mtimeMs) {
+    const result = parseProjectFile(fs.readFileSync(projectFile, "utf8"), projectFile);
+    projectCache = { file: projectFile, mtimeMs, result };
+  }
+
+  const { result } = projectCache;
+  if (!projectIssuesReported) {
+    projectIssuesReported = true;
+    const problems = result.success ? result.issues : [`ignored: ${result.message}`];
+    for (const problem of problems) {
+      process.stderr.write(`fastssh: ${projectFile}: ${problem}\n`);
+    }
+  }
+
+  return result.success ? { file: projectFile, servers: result.servers } : null;
+}
+
+/**
+ * Stops with a recovery path: a broken file must never be overwritten
+ */
+function exitWithInvalidConfig(message) {
+  const file = getConfigFile();
+  process.stderr.write(`fastssh: cannot read ${file}: ${message}\n`);
+  if (backupPaths(file, BACKUP_COUNT).some(backup => fs.existsSync(backup))) {
+    process.stderr.write("fastssh: restore the last good copy with: fastssh config restore\n");
+  } else {
+    process.stderr.write("fastssh: fix the file by hand, or move it aside to start with an empty config\n");
+  }
+  process.exit(EXIT.CONFIG_INVALID);
+}
+
+function ensureConfigDir() {
+  const dir = path.dirname(getConfigFile());
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+}
+
+/**
+ * Holds the config lock; re-entrant, so locked helpers may nest
+ */
+function withConfigLock(fn) {
+  ensureConfigDir();
+  return withFileLock(`${getConfigFile()}.lock`, fn);
+}
+
+/**
+ * Writes the document, rotating the backups first
+ * `bookkeeping` writes (last connection, a first host key) skip the rotation:
+ * they happen on every connect and would soon push the last good copy out.
+ */
+function writeDocument(doc, { bookkeeping = false } = {}) {
+  const file = getConfigFile();
+  const result = withConfigLock(() =>
+    safeWriteFile(file, JSON.stringify(doc, null, 2), {
+      atomic: true,
+      backups: bookkeeping ? 0 : BACKUP_COUNT,
+      mode: 0o600,
+      dirMode: 0o700
+    })
+  );
+  if (!result.success) {
+    throw new Error(`Could not save ${file}: ${result.message}`);
+  }
+}
+
+/**
+ * Reads the versioned document, upgrading older files in place
+ * Entry problems are reported once per run on stderr and do not stop commands.
+ */
+function readDocument() {
+  const file = getConfigFile();
+  if (!fs.existsSync(file)) return emptyConfig();
+
+  const result = parseConfig(fs.readFileSync(file, "utf8"), loadProject()?.servers);
+  if (!result.success) {
+    exitWithInvalidConfig(result.message);
+  }
+
+  if (!issuesReported && result.issues.length) {
+    issuesReported = true;
+    for (const issue of result.issues) {
+      process.stderr.write(`fastssh: warning: ${issue}\n`);
+    }
+  }
+
+  if (result.migrated) {
+    writeDocument(result.doc);
+  }
+  return result.doc;
+}
+
+export function getConfigPath() {
+  return getConfigFile();
+}
+
+/**
+ * Personal servers only; this is what commands that change entries work on
+ */
 export function loadConfig() {
-  if (!fs.existsSync(file)) return {};
-  return JSON.parse(fs.readFileSync(file, "utf8"));
+  return readDocument().servers;
+}
+
+function projectStateKey(projectFile, name) {
+  return `${projectFile}#${name}`;
+}
+
+/**
+ * Every server visible from here: personal entries, plus project entries they
+ * do not override. Returns { <name>: { entry, source } }
+ * Personal state for project servers (pinned host key, last connection) is
+ * kept in the personal config, since the shared file is not ours to write.
+ */
+function loadInventory() {
+  const doc = readDocument();
+  const project = loadProject();
+  const inventory = {};
+
+  if (project) {
+    for (const [name, entry] of Object.entries(project.servers)) {
+      const state = doc.projectState?.[projectStateKey(project.file, name)];
+      inventory[name] = { entry: { ...entry, ...state }, source: "project" };
+    }
+  }
+
+  for (const [name, entry] of Object.entries(doc.servers)) {
+    inventory[name] = { entry, source: inventory[name] ? "personal, overrides project" : "personal" };
+  }
+
+  return inventory;
+}
+
+function updateProjectState(name, changes) {
+  const project = loadProject();
+  if (!project?.servers[name]) return false;
+
+  const key = projectStateKey(project.file, name);
+  withConfigLock(() => {
+    const doc = readDocument();
+    const state = { ...doc.projectState?.[key], ...changes };
+    for (const field of Object.keys(state)) {
+      if (state[field] === null) delete state[field];
+    }
+    writeDocument({ ...doc, projectState: { ...doc.projectState, [key]: state } }, { bookkeeping: true });
+  });
+  return true;
 }
 
-export function saveConfig(data) {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir);
-  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+export function getProjectFile() {
+  return loadProject()?.file || null;
+}
+
+/**
+ * "personal", "project" or "personal, overrides project"; null when unknown
+ */
+export function getServerSource(name) {
+  return loadInventory()[name]?.source || null;
+}
+
+/**
+ * Settings that apply to every server unless an entry sets its own
+ */
+export function getSettings() {
+  return readDocument().settings || {};
+}
+
+/**
+ * Applies setting changes: `null` removes a setting, so the default applies again
+ */
+export function updateSettings(changes) {
+  withConfigLock(() => {
+    const doc = readDocument();
+    const settings = { ...doc.settings, ...changes };
+    for (const key of Object.keys(settings)) {
+      if (settings[key] === null) delete settings[key];
+    }
+    writeDocument({ ...doc, settings });
+  });
+}
+
+export function saveConfig(servers) {
+  withConfigLock(() => writeDocument({ ...readDocument(), servers }));
+}
+
+/**
+ * Read-modify-write under the config lock, so parallel runs cannot lose updates
+ * `mutate` edits the servers map in place; returning false skips the write.
+ */
+function updateConfig(mutate, options = {}) {
+  return withConfigLock(() => {
+    const doc = readDocument();
+    const result = mutate(doc.servers);
+    if (result !== false) {
+      writeDocument(doc, options);
+    }
+    return result;
+  });
+}
+
+/**
+ * Replaces the config with the newest backup that still loads, keeping the
+ * current file aside. Returns { success, servers, from, keptAs } or { success: false, message }
+ */
+export function restoreConfigBackup() {
+  const file = getConfigFile();
+  const backups = backupPaths(file, BACKUP_COUNT).filter(backup => fs.existsSync(backup));
+  if (!backups.length) {
+    return { success: false, message: `No backup found next to ${file}` };
+  }
+
+  const usable = backups
+    .map(backup => ({ backup, content: fs.readFileSync(backup, "utf8") }))
+    .find(({ content }) => parseConfig(content).success);
+  if (!usable) {
+    return { success: false, message: `None of the ${backups.length} backup(s) can be loaded either` };
+  }
+
+  return withConfigLock(() => {
+    let keptAs = null;
+    if (fs.existsSync(file)) {
+      keptAs = `${file}.broken-${Date.now()}`;
+      fs.renameSync(file, keptAs);
+    }
+
+    const written = safeWriteFile(file, usable.content, { atomic: true, mode: 0o600, dirMode: 0o700 });
+    if (!written.success) {
+      return { success: false, message: written.message };
+    }
+
+    const servers = Object.keys(parseConfig(usable.content).doc.servers).length;
+    return { success: true, servers, from: usable.backup, keptAs };
+  });
 }
 
 export function hasServer(name) {
-  return Boolean(loadConfig()[name]);
+  return Boolean(loadInventory()[name]);
 }
 
 export function findServerByHostUser(host, user) {
-  const cfg = loadConfig();
-  for (const [name, server] of Object.entries(cfg)) {
-    if (server.host === host && server.user === user) {
+  for (const [name, { entry }] of Object.entries(loadInventory())) {
+    if (entry.host === host && entry.user === user) {
       return name;
     }
   }
   return null;
 }
 
+/**
+ * The saved server whose secrets would share environment variables with `name`
+ * (web-1, web.1 and web_1 all read FASTSSH_PASSPHRASE_WEB_1), or null
+ * `except` is left out, e.g. the old name during a rename.
+ */
+export function findSecretNameClash(name, except = name) {
+  const variable = envSecretName(`${name}:passphrase`);
+  return Object.keys(loadInventory()).find(other =>
+    other !== name && other !== except && envSecretName(`${other}:passphrase`) === variable
+  ) || null;
+}
+
+function assertNoSecretNameClash(name, except) {
+  const clash = findSecretNameClash(name, except);
+  if (clash) {
+    throw new Error(`'${name}' and '${clash}' would share ${envSecretName(`${name}:passphrase`)}; choose another name`);
+  }
+}
+
 export async function addServer(name, obj) {
-  const cfg = loadConfig();
-  cfg[name] = {
+  assertNoSecretNameClash(name);
+
+  const portCheck = validatePort(obj.port ?? 22);
+  if (!portCheck.valid) {
+    throw new Error(portCheck.error);
+  }
+
+  const authType = obj.authType || "key";
+  const authCheck = validateAuthType(authType);
+  if (!authCheck.valid) {
+    throw new Error(authCheck.error);
+  }
+
+  const entry = {
     host: obj.host,
     user: obj.user,
-    authType: "key"
+    port: portCheck.port,
+    authType
   };
 
   if (obj.keyPath) {
-    cfg[name].keyPath = obj.keyPath;
+    entry.keyPath = obj.keyPath;
+  }
+
+  if (obj.keyType) {
+    entry.keyType = obj.keyType;
+  }
+
+  if (obj.agentIdentity) {
+    entry.agentIdentity = obj.agentIdentity;
+  }
+
+  if (obj.hostKey) {
+    entry.hostKey = obj.hostKey;
   }
 
-  if (obj.passphrase) {
-    await keytar.setPassword(service, `${name}:passphrase`, obj.passphrase);
+  if (obj.jump) {
+    entry.jump = obj.jump;
   }
 
-  saveConfig(cfg);
+  if (obj.tags?.length) {
+    entry.tags = [...new Set(obj.tags)];
+  }
+
+  if (obj.group) {
+    entry.group = obj.group;
+  }
+
+  if (obj.description) {
+    entry.description = obj.description;
+  }
+
+  for (const field of ["keepaliveInterval", "keepaliveCountMax"]) {
+    if (obj[field] !== undefined) {
+      entry[field] = obj[field];
+    }
+  }
+
+  // Passwords live with the other secrets, never in config.json; agent keys need none
+  const secrets = {};
+  if (authType === "key" && obj.passphrase) {
+    secrets.passphrase = obj.passphrase;
+  }
+  if ((authType === "password" || authType === "keyboard-interactive") && obj.password) {
+    secrets.password = obj.password;
+  }
+  await writeSecrets(name, secrets);
+
+  try {
+    updateConfig((servers) => {
+      servers[name] = entry;
+    });
+  } catch (err) {
+    await deleteSecrets(name, Object.keys(secrets));
+    throw err;
+  }
 }
 
 export async function getServer(name) {
-  const all = loadConfig();
-  const cfg = all[name];
+  const cfg = loadInventory()[name]?.entry;
 
   if (!cfg) return undefined;
 
@@ -60,26 +384,262 @@ export async function getServer(name) {
     ...cfg,
   };
 
+  const secrets = await getSecretsBackend();
   if (cfg.authType === "key") {
-    const passphrase = await keytar.getPassword(service, `${name}:passphrase`);
-    result.passphrase = passphrase;
+    result.passphrase = await secrets.get(getKeychainService(), `${name}:passphrase`);
+  } else if (cfg.authType !== "agent") {
+    result.password = await secrets.get(getKeychainService(), `${name}:password`);
   }
 
   return result;
 }
 
 export async function removeServer(name) {
-  const cfg = loadConfig();
-  delete cfg[name];
-  saveConfig(cfg);
-  
+  updateConfig((servers) => {
+    delete servers[name];
+  });
+
+  await deleteSecrets(name, SECRET_KINDS);
+}
+
+async function readSecrets(name) {
+  const backend = await getSecretsBackend();
+  const secrets = {};
+  for (const kind of SECRET_KINDS) {
+    const value = await backend.get(getKeychainService(), `${name}:${kind}`);
+    if (value) secrets[kind] = value;
+  }
+  return secrets;
+}
+
+async function deleteSecrets(name, kinds) {
+  for (const kind of kinds) {
+    try {
+      const backend = await getSecretsBackend();
+      await backend.delete(getKeychainService(), `${name}:${kind}`);
+    } catch {
+      // Best effort: the secret might not exist, or this is a rollback
+    }
+  }
+}
+
+/**
+ * Writes all secrets or none: a failed write removes the ones already written
+ */
+async function writeSecrets(name, secrets) {
+  const backend = await getSecretsBackend();
+  const written = [];
+  try {
+    for (const [kind, value] of Object.entries(secrets)) {
+      await backend.set(getKeychainService(), `${name}:${kind}`, value);
+      written.push(kind);
+    }
+  } catch (err) {
+    await deleteSecrets(name, written);
+    throw err;
+  }
+}
+
+/**
+ * Renames an entry in place, keeping its position in the file and repointing
+ * servers that use it as their jump server
+ */
+function renameInServers(servers, from, to) {
+  const entries = Object.entries(servers);
+  for (const [name] of entries) {
+    delete servers[name];
+  }
+  for (const [name, server] of entries) {
+    if (server.jump === from) server.jump = to;
+    servers[name === from ? to : name] = server;
+  }
+}
+
+/**
+ * Renames a server, moving its keychain secrets and repointing servers that
+ * use it as their jump server. Any failed step restores the previous state.
+ */
+export async function renameServer(oldName, newName) {
+  const current = loadConfig();
+  if (!current[oldName]) return false;
+  if (current[newName]) {
+    throw new Error(`Server '${newName}' already exists`);
+  }
+  assertNoSecretNameClash(newName, oldName);
+
+  const secrets = await readSecrets(oldName);
+  const kinds = Object.keys(secrets);
+  await writeSecrets(newName, secrets);
+
+  try {
+    updateConfig((servers) => {
+      if (!servers[oldName] || servers[newName]) {
+        throw new Error(`Server list changed while renaming '${oldName}'`);
+      }
+      renameInServers(servers, oldName, newName);
+    });
+  } catch (err) {
+    await deleteSecrets(newName, kinds);
+    throw err;
+  }
+
   try {
-    await keytar.deletePassword(service, `${name}:passphrase`);
-  } catch {
-    // Passphrase might not exist, that's okay
+    const backend = await getSecretsBackend();
+    for (const kind of kinds) {
+      await backend.delete(getKeychainService(), `${oldName}:${kind}`);
+    }
+  } catch (err) {
+    updateConfig((servers) => renameInServers(servers, newName, oldName));
+    await writeSecrets(oldName, secrets).catch(() => {});
+    await deleteSecrets(newName, kinds);
+    throw err;
+  }
+
+  return true;
+}
+
+/**
+ * Copies a server (and its keychain secrets) under a new name
+ * `overrides` replace fields on the copy; a new host or port drops the pinned host key.
+ */
+export async function cloneServer(sourceName, targetName, overrides = {}) {
+  const inventory = loadInventory();
+  const source = inventory[sourceName]?.entry;
+  if (!source) return false;
+  if (inventory[targetName]) {
+    throw new Error(`Server '${targetName}' already exists`);
+  }
+  assertNoSecretNameClash(targetName);
+
+  const secrets = await readSecrets(sourceName);
+  await writeSecrets(targetName, secrets);
+
+  try {
+    updateConfig((servers) => {
+      if (servers[targetName]) {
+        throw new Error(`Server list changed while cloning '${sourceName}'`);
+      }
+
+      // A project entry's source may be a personal override of it
+      const entry = { ...(servers[sourceName] || source) };
+      delete entry.lastConnected;
+      const changes = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+      const clone = { ...entry, ...changes };
+      if (clone.host !== entry.host || (clone.port || 22) !== (entry.port || 22)) {
+        delete clone.hostKey;
+      }
+      servers[targetName] = clone;
+    });
+  } catch (err) {
+    await deleteSecrets(targetName, Object.keys(secrets));
+    throw err;
+  }
+
+  return true;
+}
+
+/**
+ * Personal entries with their keychain secrets, for `fastssh backup`
+ * Returns [{ name, entry, secrets }]
+ */
+export async function exportServers() {
+  const result = [];
+  for (const [name, entry] of Object.entries(loadConfig())) {
+    result.push({ name, entry, secrets: await readSecrets(name) });
+  }
+  return result;
+}
+
+/**
+ * Saves a complete entry and its secrets, replacing any entry of that name
+ * Secrets are written first and rolled back if the config write fails.
+ */
+export async function importServer(name, entry, secrets = {}) {
+  assertNoSecretNameClash(name);
+  const previous = await readSecrets(name);
+  await writeSecrets(name, secrets);
+
+  try {
+    updateConfig((servers) => {
+      servers[name] = entry;
+    });
+  } catch (err) {
+    await deleteSecrets(name, Object.keys(secrets).filter(kind => !(kind in previous)));
+    await writeSecrets(name, previous).catch(() => {});
+    throw err;
+  }
+
+  await deleteSecrets(name, Object.keys(previous).filter(kind => !(kind in secrets)));
+}
+
+export function setHostKey(name, fingerprint) {
+  // Recording a first key is routine; replacing or clearing one is a real change
+  const firstKey = Boolean(fingerprint) && !loadConfig()[name]?.hostKey;
+  const updated = updateConfig((servers) => {
+    if (!servers[name]) return false;
+
+    if (fingerprint) {
+      servers[name].hostKey = fingerprint;
+    } else {
+      delete servers[name].hostKey;
+    }
+    return true;
+  }, { bookkeeping: firstKey });
+  return updated || updateProjectState(name, { hostKey: fingerprint || null });
+}
+
+/**
+ * Applies field changes to a saved entry: `null` removes a field, `undefined` leaves it
+ */
+export function updateServer(name, changes) {
+  return updateConfig((servers) => {
+    if (!servers[name]) return false;
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === undefined) continue;
+      if (value === null || (Array.isArray(value) && !value.length)) {
+        delete servers[name][key];
+      } else {
+        servers[name][key] = value;
+      }
+    }
+    return true;
+  });
+}
+
+export function saveTunnel(name, label, specs) {
+  return updateConfig((servers) => {
+    if (!servers[name]) return false;
+
+    servers[name].tunnels = { ...servers[name].tunnels, [label]: specs };
+    return true;
+  });
+}
+
+export function findServersUsingJump(jumpName) {
+  return Object.entries(loadInventory())
+    .filter(([, { entry }]) => entry.jump === jumpName)
+    .map(([name]) => name);
+}
+
+export function touchServer(name) {
+  const lastConnected = new Date().toISOString();
+  const updated = updateConfig((servers) => {
+    if (!servers[name]) return false;
+
+    servers[name].lastConnected = lastConnected;
+    return true;
+  }, { bookkeeping: true });
+  if (!updated) {
+    updateProjectState(name, { lastConnected });
   }
 }
 
 export function listServers() {
-  return Object.keys(loadConfig());
+  return Object.keys(loadInventory());
+}
+
+// Full entries for display and scripting; never touches the keychain
+export function listServerEntries() {
+  return Object.entries(loadInventory()).map(([name, { entry, source }]) => ({ name, ...entry, source }));
 }
@@ -0,0 +1,55 @@
+/**
+ * SSH agent access (ssh-agent, gpg-agent, 1Password / Bitwarden agents, Pageant)
+ * Keys held by an agent never leave it; fastssh only asks it to sign.
+ */
+
+import ssh2 from "ssh2";
+import { fingerprintHostKey } from "./hostkey.js";
+
+/**
+ * The agent to use, or null when none is running
+ */
+export function getAgentPath() {
+  if (process.env.SSH_AUTH_SOCK) return process.env.SSH_AUTH_SOCK;
+  return process.platform === "win32" ? "pageant" : null;
+}
+
+/**
+ * Turns a parsed agent key into { type, comment, fingerprint, publicKey }
+ * `publicKey` is an authorized_keys line.
+ */
+export function describeIdentity(key) {
+  const blob = key.getPublicSSH();
+  const comment = key.comment || "";
+  return {
+    type: key.type,
+    comment,
+    fingerprint: fingerprintHostKey(blob),
+    publicKey: `${key.type} ${blob.toString("base64")}${comment ? ` ${comment}` : ""}`
+  };
+}
+
+/**
+ * Lists the identities the agent offers
+ * Key types the SSH library cannot sign with (such as FIDO sk- keys) are left out.
+ */
+export function listAgentIdentities(agentPath = getAgentPath()) {
+  if (!agentPath) {
+    return Promise.reject(new Error("No SSH agent: SSH_AUTH_SOCK is not set"));
+  }
+
+  return new Promise((resolve, reject) => {
+    const agent = ssh2.createAgent(agentPath);
+    agent.getIdentities((err, keys) => {
+      if (err) reject(new Error(`Could not talk to the SSH agent at ${agentPath}: ${err.message}`));
+      else resolve(keys.map(describeIdentity));
+    });
+  });
+}
+
+/**
+ * Finds one identity by fingerprint or comment
+ */
+export function findIdentity(identities, wanted) {
+  return identities.find(identity => identity.fingerprint === wanted || identity.comment === wanted) || null;
+}
@@ -0,0 +1,103 @@
+/**
+ * Passphrase-encrypted backup archives (.fsb)
+ * The archive is a small JSON envelope: scrypt parameters, then the payload
+ * sealed with AES-256-GCM. The envelope header is authenticated too, so a
+ * tampered salt or cost is caught like a tampered payload.
+ */
+
+import crypto from "node:crypto";
+import { safeParseJSON } from "./edge-cases.js";
+
+export const ARCHIVE_FORMAT = "fastssh-backup";
+export const ARCHIVE_VERSION = 1;
+
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+function deriveKey(passphrase, { salt }) {
+  // scrypt needs 128 * N * r bytes; allow twice that
+  return crypto.scryptSync(passphrase, Buffer.from(salt, "base64"), KEY_LENGTH, {
+    ...SCRYPT, maxmem: 256 * SCRYPT.N * SCRYPT.r
+  });
+}
+
+/**
+ * Only the cost fastssh writes is accepted: the header is authenticated after
+ * the key is derived, so a crafted cost could take any memory or time first
+ */
+function isKnownKdf(kdf) {
+  return kdf?.name === "scrypt" &&
+    kdf.N === SCRYPT.N && kdf.r === SCRYPT.r && kdf.p === SCRYPT.p &&
+    typeof kdf.salt === "string";
+}
+
+function headerOf(envelope) {
+  return Buffer.from(JSON.stringify({
+    format: envelope.format,
+    version: envelope.version,
+    kdf: envelope.kdf,
+    cipher: envelope.cipher
+  }));
+}
+
+/**
+ * Encrypts `payload` (any JSON value) and returns the archive text
+ */
+export function encryptArchive(payload, passphrase) {
+  const envelope = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    kdf: { name: "scrypt", ...SCRYPT, salt: crypto.randomBytes(16).toString("base64") },
+    cipher: "aes-256-gcm"
+  };
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(passphrase, envelope.kdf), iv);
+  cipher.setAAD(headerOf(envelope));
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), "utf8"), cipher.final()]);
+
+  return `${JSON.stringify({
+    ...envelope,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64")
+  }, null, 2)}\n`;
+}
+
+/**
+ * Decrypts archive text
+ * Returns { success, payload } or { success: false, error, message }
+ */
+export function decryptArchive(content, passphrase) {
+  const parsed = safeParseJSON(content);
+  const envelope = parsed.data;
+  if (!parsed.success || envelope?.format !== ARCHIVE_FORMAT) {
+    return { success: false, error: "NOT_AN_ARCHIVE", message: "Not a fastssh backup file" };
+  }
+
+  if (envelope.version > ARCHIVE_VERSION) {
+    return {
+      success: false,
+      error: "NEWER_VERSION",
+      message: `Backup version ${envelope.version} was written by a newer fastssh`
+    };
+  }
+
+  if (!isKnownKdf(envelope.kdf) || envelope.cipher !== "aes-256-gcm") {
+    return { success: false, error: "UNSUPPORTED", message: "Backup uses an unsupported cipher or key derivation cost" };
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      deriveKey(passphrase, envelope.kdf),
+      Buffer.from(envelope.iv, "base64")
+    );
+    decipher.setAAD(headerOf(envelope));
+    decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+    const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]);
+    return { success: true, payload: JSON.parse(plain.toString("utf8")) };
+  } catch {
+    return { success: false, error: "DECRYPT_FAILED", message: "Wrong passphrase, or the backup is damaged" };
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Keyboard-interactive authentication
+ * Servers send rounds of prompts (password, OTP, "Verification code:", ...).
+ * A saved password answers the first password prompt; everything else is
+ * relayed to the person at the terminal.
+ */
+
+const PASSWORD_PROMPT = /password/i;
+
+/**
+ * Builds the `onKeyboardInteractive` handler for a connection
+ * `ask({ prompt, echo, instructions })` resolves to the answer for one prompt.
+ * The saved password is offered once, so a wrong one is not retried forever.
+ */
+export function createKeyboardInteractiveHandler({ password, ask }) {
+  let passwordUsed = false;
+
+  return (name, instructions, lang, prompts, finish) => {
+    const answerAll = async () => {
+      const answers = [];
+      for (const { prompt, echo } of prompts) {
+        if (password && !passwordUsed && !echo && PASSWORD_PROMPT.test(prompt)) {
+          passwordUsed = true;
+          answers.push(password);
+          continue;
+        }
+        answers.push(await ask({ prompt: prompt.trim(), echo: Boolean(echo), instructions: instructions || name }));
+      }
+      return answers;
+    };
+
+    // An empty answer list fails this round, which fails the login cleanly
+    answerAll().then(finish, () => finish([]));
+  };
+}
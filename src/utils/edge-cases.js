@@ -32,9 +32,63 @@ export function safeReadFile(filePath, encoding = "utf-8") {
   }
 }
 
+/**
+ * Backup paths for a file, newest first: `file.bak`, `file.bak.1`, ...
+ */
+export function backupPaths(filePath, count = 1) {
+  const expandedPath = filePath.replace("~", os.homedir());
+  return Array.from({ length: count }, (_, i) => (i === 0 ? `${expandedPath}.bak` : `${expandedPath}.bak.${i}`));
+}
+
+/**
+ * Shifts existing backups down one slot (dropping the oldest) and copies the
+ * current file into the newest slot
+ */
+function rotateBackups(expandedPath, count, mode) {
+  const paths = backupPaths(expandedPath, count);
+  for (let i = paths.length - 1; i > 0; i--) {
+    if (fs.existsSync(paths[i - 1])) {
+      fs.renameSync(paths[i - 1], paths[i]);
+    }
+  }
+  fs.copyFileSync(expandedPath, paths[0]);
+  if (mode !== undefined) {
+    fs.chmodSync(paths[0], mode);
+  }
+}
+
+/**
+ * Writes through a temp file in the same directory, then renames it over the
+ * target, so readers never see a half-written file
+ */
+function writeAtomically(expandedPath, content, mode) {
+  const tempPath = `${expandedPath}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tempPath, "w", mode ?? 0o666);
+    try {
+      if (mode !== undefined) fs.fchmodSync(fd, mode);
+      fs.writeFileSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, expandedPath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+}
+
 /**
  * Safely writes a file with proper error handling and backup
  * Creates parent directories if needed
+ *
+ * Options:
+ *   backup   keep the previous content as `file.bak`
+ *   backups  keep this many rotating backups (`file.bak`, `file.bak.1`, ...)
+ *   atomic   write a temp file and rename it into place
+ *   mode     permissions for the file and its backups (e.g. 0o600)
+ *   dirMode  permissions enforced on the parent directory (e.g. 0o700)
  */
 export function safeWriteFile(filePath, content, options = {}) {
   try {
@@ -43,16 +97,32 @@ export function safeWriteFile(filePath, content, options = {}) {
 
     // Create parent directories if needed
     if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+      fs.mkdirSync(dir, { recursive: true, mode: options.dirMode ?? 0o700 });
+    }
+    if (options.dirMode !== undefined) {
+      fs.chmodSync(dir, options.dirMode);
     }
 
     // Create backup if file exists
-    if (options.backup && fs.existsSync(expandedPath)) {
-      const backupPath = `${expandedPath}.bak`;
-      fs.copyFileSync(expandedPath, backupPath);
+    if (fs.existsSync(expandedPath)) {
+      if (options.backups) {
+        rotateBackups(expandedPath, options.backups, options.mode);
+      } else if (options.backup) {
+        const backupPath = `${expandedPath}.bak`;
+        fs.copyFileSync(expandedPath, backupPath);
+      }
+    }
+
+    if (options.atomic) {
+      writeAtomically(expandedPath, content, options.mode);
+    } else {
+      fs.writeFileSync(expandedPath, content);
     }
 
-    fs.writeFileSync(expandedPath, content);
+    // The mode given at creation is masked by umask and ignored for existing files
+    if (options.mode !== undefined) {
+      fs.chmodSync(expandedPath, options.mode);
+    }
     return { success: true, path: expandedPath };
   } catch (err) {
     if (err.code === "EACCES") {
@@ -146,6 +216,170 @@ export function validateUsername(username) {
   return { valid: true };
 }
 
+/**
+ * Validates a saved server name
+ * `@` starts a selector and `:` separates name and path in push/pull
+ */
+export function validateServerName(name) {
+  if (!name || typeof name !== "string") {
+    return { valid: false, error: "Server name must be a non-empty string" };
+  }
+
+  if (name.startsWith("@")) {
+    return { valid: false, error: "Server name cannot start with '@' (reserved for tag selectors)" };
+  }
+
+  if (/[\s:,]/.test(name)) {
+    return { valid: false, error: "Server name cannot contain spaces, ':' or ','" };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validates a tag or group name such as `env:prod` or `role:db`
+ * `@` is reserved for selectors and commas separate tags on the command line
+ */
+export function validateTag(tag) {
+  if (!tag || typeof tag !== "string") {
+    return { valid: false, error: "Tag must be a non-empty string" };
+  }
+
+  if (!/^[a-zA-Z0-9._:\-]+$/.test(tag)) {
+    return { valid: false, error: `Tag '${tag}' may only contain letters, digits, '.', '_', ':' and '-'` };
+  }
+
+  if (tag.length > 64) {
+    return { valid: false, error: "Tag is too long (max 64 characters)" };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Supported SSH key types and their conventional default locations
+ */
+export const SSH_KEY_TYPES = {
+  rsa: { label: "RSA", defaultPath: "~/.ssh/id_rsa" },
+  ed25519: { label: "Ed25519", defaultPath: "~/.ssh/id_ed25519" },
+  ecdsa: { label: "ECDSA", defaultPath: "~/.ssh/id_ecdsa" }
+};
+
+/**
+ * Validates a requested SSH key type
+ */
+export function validateKeyType(keyType) {
+  if (!Object.hasOwn(SSH_KEY_TYPES, keyType)) {
+    return { valid: false, error: `Unsupported key type '${keyType}'. Use one of: ${Object.keys(SSH_KEY_TYPES).join(", ")}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * How fastssh logs in to a server; only "key" needs a key file
+ */
+export const AUTH_TYPES = ["key", "agent", "password", "keyboard-interactive"];
+
+export function validateAuthType(authType) {
+  if (!AUTH_TYPES.includes(authType)) {
+    return { valid: false, error: `Unsupported auth type '${authType}'. Use one of: ${AUTH_TYPES.join(", ")}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Keepalive probes, in OpenSSH's terms: a probe every `keepaliveInterval`
+ * seconds, and the link counts as dead after `keepaliveCountMax` unanswered
+ * ones. An interval of 0 turns probes off.
+ */
+export const KEEPALIVE_DEFAULTS = { keepaliveInterval: 15, keepaliveCountMax: 3 };
+
+export function validateKeepalive(field, value) {
+  const num = Number(value);
+  const min = field === "keepaliveCountMax" ? 1 : 0;
+
+  if (!Number.isInteger(num) || num < min || num > 3600) {
+    const what = field === "keepaliveCountMax" ? "Keepalive count" : "Keepalive interval (seconds)";
+    return { valid: false, error: `${what} must be a whole number from ${min} to 3600` };
+  }
+
+  return { valid: true, value: num };
+}
+
+/**
+ * Keepalive for one server: its own values, then the global settings, then the defaults
+ */
+export function resolveKeepalive(cfg = {}, settings = {}) {
+  const resolved = {};
+  for (const field of Object.keys(KEEPALIVE_DEFAULTS)) {
+    const value = [cfg[field], settings[field]].find(candidate => validateKeepalive(field, candidate).valid);
+    resolved[field] = value === undefined ? KEEPALIVE_DEFAULTS[field] : Number(value);
+  }
+  return resolved;
+}
+
+/**
+ * OpenSSH's own fallback identity: the first default key that exists
+ */
+export function findDefaultKeyPath() {
+  const found = Object.values(SSH_KEY_TYPES)
+    .map(type => type.defaultPath)
+    .find(keyPath => fs.existsSync(keyPath.replace("~", os.homedir())));
+  return found || SSH_KEY_TYPES.rsa.defaultPath;
+}
+
+/**
+ * Reads the key type out of an OpenSSH-format private key
+ * The public key blob is stored unencrypted, so this works for protected keys too
+ */
+function detectOpenSSHKeyType(keyContent) {
+  const body = keyContent
+    .replace(/-----(BEGIN|END) OPENSSH PRIVATE KEY-----/g, "")
+    .replace(/\s+/g, "");
+  const buf = Buffer.from(body, "base64");
+  const magic = "openssh-key-v1\0";
+
+  if (buf.toString("latin1", 0, magic.length) !== magic) return null;
+
+  let offset = magic.length;
+  const readString = () => {
+    const len = buf.readUInt32BE(offset);
+    const value = buf.subarray(offset + 4, offset + 4 + len);
+    offset += 4 + len;
+    return value;
+  };
+
+  try {
+    readString(); // cipher name
+    readString(); // kdf name
+    readString(); // kdf options
+    offset += 4; // number of keys
+    const publicKey = readString();
+    const algorithm = publicKey.toString("latin1", 4, 4 + publicKey.readUInt32BE(0));
+
+    if (algorithm === "ssh-rsa") return "rsa";
+    if (algorithm === "ssh-ed25519") return "ed25519";
+    if (algorithm.startsWith("ecdsa-sha2-")) return "ecdsa";
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Detects the type of an SSH private key from its content
+ * Returns one of the SSH_KEY_TYPES keys, or null when unknown
+ */
+export function detectKeyType(keyContent) {
+  if (!keyContent || typeof keyContent !== "string") return null;
+
+  if (keyContent.includes("BEGIN RSA PRIVATE KEY")) return "rsa";
+  if (keyContent.includes("BEGIN EC PRIVATE KEY")) return "ecdsa";
+  if (keyContent.includes("BEGIN OPENSSH PRIVATE KEY")) return detectOpenSSHKeyType(keyContent);
+
+  return null;
+}
+
 /**
  * Validates SSH key format
  */
@@ -154,15 +388,21 @@ export function validateKeyFormat(keyContent) {
     return { valid: false, error: "Key content must be a non-empty string" };
   }
 
-  if (!keyContent.includes("BEGIN RSA PRIVATE KEY") && !keyContent.includes("BEGIN OPENSSH PRIVATE KEY")) {
-    return { valid: false, error: "Invalid SSH key format. Expected RSA or OpenSSH format" };
+  const markers = ["BEGIN RSA PRIVATE KEY", "BEGIN EC PRIVATE KEY", "BEGIN OPENSSH PRIVATE KEY"];
+  if (!markers.some(marker => keyContent.includes(marker))) {
+    return { valid: false, error: "Invalid SSH key format. Expected RSA, ECDSA or OpenSSH format" };
   }
 
   if (!keyContent.includes("END")) {
     return { valid: false, error: "SSH key appears truncated (missing END marker)" };
   }
 
-  return { valid: true };
+  const type = detectKeyType(keyContent);
+  if (!type) {
+    return { valid: false, error: `Unsupported SSH key type. Supported: ${Object.keys(SSH_KEY_TYPES).join(", ")}` };
+  }
+
+  return { valid: true, type };
 }
 
 /**
@@ -285,6 +525,16 @@ export function trimObjectStrings(obj) {
   return trimmed;
 }
 
+/**
+ * Matches a value against a shell-style glob (`*` and `?`), case-insensitively
+ */
+export function matchesGlob(value, pattern) {
+  if (typeof value !== "string" || typeof pattern !== "string") return false;
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, String.raw`\$&`);
+  const regex = new RegExp(`^${escaped.replaceAll("*", ".*").replaceAll("?", ".")}$`, "i");
+  return regex.test(value);
+}
+
 /**
  * Checks for common SSH configuration issues
  */
@@ -294,6 +544,7 @@ export function checkSSHConfigIssues(cfg) {
   if (!cfg.host) issues.push("Missing host");
   if (!cfg.user) issues.push("Missing username");
   if (!cfg.authType) issues.push("Missing auth type");
+  else if (!AUTH_TYPES.includes(cfg.authType)) issues.push(`Unknown auth type '${cfg.authType}'`);
 
   if (cfg.authType === "key" && !cfg.keyPath) {
     issues.push("SSH key path not configured");
@@ -314,15 +565,23 @@ export function checkSSHConfigIssues(cfg) {
     }
   }
 
+  for (const field of Object.keys(KEEPALIVE_DEFAULTS)) {
+    if (cfg[field] === undefined) continue;
+    const check = validateKeepalive(field, cfg[field]);
+    if (!check.valid) issues.push(check.error);
+  }
+
   return { hasIssues: issues.length > 0, issues };
 }
 
 /**
  * Retries an async operation with exponential backoff
+ * `shouldRetry(err)` can stop early on errors that will not go away, and
+ * `onRetry(err, attempt, delay)` is told before each wait.
  */
 export async function retryWithBackoff(fn, options) {
   const defaults = { maxRetries: 3, initialDelay: 100 };
-  const finalOptions = options || defaults;
+  const finalOptions = { ...defaults, ...options };
   let lastError;
   
   for (let i = 0; i < finalOptions.maxRetries; i++) {
@@ -330,9 +589,11 @@ export async function retryWithBackoff(fn, options) {
       return await fn();
     } catch (err) {
       lastError = err;
+      if (finalOptions.shouldRetry && !finalOptions.shouldRetry(err)) break;
       
       if (i < finalOptions.maxRetries - 1) {
         const delay = finalOptions.initialDelay * Math.pow(2, i);
+        finalOptions.onRetry?.(err, i + 1, delay);
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
@@ -340,12 +601,3 @@ export async function retryWithBackoff(fn, options) {
 
   return { success: false, error: lastError.message };
 }
-
-// Remove or skip these 3 tests temporarily
-it.skip("should handle symlinks in .ssh directory", () => {
-  // Skip until implementation fixed
-});
-
-it.skip("should handle permission denied errors", () => {
-  // Skip until implementation fixed
-});
@@ -0,0 +1,33 @@
+/**
+ * Process exit codes
+ * Distinct codes let provisioning scripts tell failure causes apart
+ */
+
+import os from "node:os";
+
+export const EXIT = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  MISSING_INPUT: 3,
+  SERVER_EXISTS: 4,
+  DUPLICATE_SERVER: 5,
+  CONNECTION_FAILED: 6,
+  KEY_SETUP_FAILED: 7,
+  HOST_KEY_CHANGED: 8,
+  CONFIG_INVALID: 9
+};
+
+/**
+ * Maps a remote exit status to a local exit code
+ * Signals follow the shell convention of 128 + signal number; a session that
+ * ended without any status (dropped or disconnected) gives 255, like ssh.
+ */
+export function toExitCode(code, signal) {
+  if (typeof code === "number") return code;
+  if (signal) {
+    const number = os.constants.signals[signal];
+    return number ? 128 + number : 255;
+  }
+  return 255;
+}
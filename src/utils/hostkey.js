@@ -0,0 +1,78 @@
+/**
+ * Host key verification utilities
+ * Implements trust-on-first-use checks against the fingerprint saved per server
+ */
+
+import crypto from "node:crypto";
+import { NodeSSH } from "node-ssh";
+import { log } from "./logger.js";
+
+/**
+ * Computes an OpenSSH-style SHA256 fingerprint from a raw host key
+ */
+export function fingerprintHostKey(key) {
+  const digest = crypto.createHash("sha256").update(key).digest("base64");
+  return `SHA256:${digest.replace(/=+$/, "")}`;
+}
+
+/**
+ * Creates a host key check for a connection
+ * Pass `check.verifier` as the `hostVerifier` connect option; after the
+ * handshake `check.seen` holds the server's fingerprint and `check.mismatch`
+ * tells whether it differs from the expected one.
+ */
+export function createHostKeyCheck(expected) {
+  const check = { expected: expected || null, seen: null, mismatch: false };
+
+  check.verifier = (key) => {
+    check.seen = fingerprintHostKey(key);
+    check.mismatch = Boolean(check.expected) && check.seen !== check.expected;
+    return !check.mismatch;
+  };
+
+  return check;
+}
+
+/**
+ * Fetches the server's host key fingerprint without authenticating
+ * Pass `sock` to probe through an already opened jump server stream
+ */
+export async function probeHostKey(cfg, sock = null) {
+  const check = createHostKeyCheck(null);
+  const ssh = new NodeSSH();
+
+  try {
+    await ssh.connect({
+      host: cfg.host,
+      username: cfg.user,
+      port: cfg.port || 22,
+      readyTimeout: 15000,
+      ...(sock ? { sock } : {}),
+      // Reject on purpose: we only need the key exchange, not a session
+      hostVerifier: (key) => {
+        check.verifier(key);
+        return false;
+      }
+    });
+  } catch (err) {
+    if (!check.seen) throw err;
+  } finally {
+    ssh.dispose();
+  }
+
+  return check.seen;
+}
+
+/**
+ * Prints the warning shown when a server presents a different host key
+ */
+export function warnHostKeyChanged(name, check) {
+  log.error("\nWARNING: REMOTE HOST IDENTIFICATION HAS CHANGED!");
+  log.error("   Someone could be intercepting this connection (man-in-the-middle),");
+  log.error("   or the server's host key was legitimately rotated.");
+  log.error(`   Expected: ${check.expected}`);
+  log.error(`   Received: ${check.seen}`);
+  log.info("\nRefusing to continue. If the change is expected:");
+  log.info(`   fastssh hostkey ${name} --show     Compare fingerprints`);
+  log.info(`   fastssh hostkey ${name} --accept   Trust the new host key`);
+}
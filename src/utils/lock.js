@@ -0,0 +1,114 @@
+/**
+ * Advisory lock files for coordinating fastssh processes
+ * The lock file holds the owner's pid so a crashed owner's lock can be reclaimed.
+ */
+
+import fs from "node:fs";
+
+const RETRY_MS = 50;
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * A lock is stale when its owner is gone or it is older than `staleMs`
+ */
+function isStale(lockPath, staleMs) {
+  try {
+    const pid = Number.parseInt(fs.readFileSync(lockPath, "utf8"), 10);
+    if (pid && !isProcessAlive(pid)) return true;
+    return Date.now() - fs.statSync(lockPath).mtimeMs > staleMs;
+  } catch {
+    // Vanished or unreadable while we looked; retrying decides
+    return false;
+  }
+}
+
+function tryCreate(lockPath) {
+  try {
+    const fd = fs.openSync(lockPath, "wx", 0o600);
+    fs.writeSync(fd, String(process.pid));
+    fs.closeSync(fd);
+    return true;
+  } catch (err) {
+    if (err.code !== "EEXIST") throw err;
+    return false;
+  }
+}
+
+/**
+ * Removes a stale lock, unless another process got there first
+ * Checking and removing are two steps, so two processes could both judge the
+ * lock stale and the slower one would delete the lock the faster one just
+ * took. Only the holder of `<lock>.reclaim` (created with O_EXCL) may remove,
+ * and it checks again while holding it. Returns whether the lock was removed.
+ */
+export function reclaimStaleLock(lockPath, staleMs) {
+  const guardPath = `${lockPath}.reclaim`;
+  if (!tryCreate(guardPath)) {
+    // A reclaimer that crashed leaves its guard behind; it holds no data
+    if (isStale(guardPath, staleMs)) fs.rmSync(guardPath, { force: true });
+    return false;
+  }
+
+  try {
+    if (!isStale(lockPath, staleMs)) return false;
+    fs.rmSync(lockPath, { force: true });
+    return true;
+  } finally {
+    fs.rmSync(guardPath, { force: true });
+  }
+}
+
+function acquire(lockPath, timeoutMs, staleMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    if (tryCreate(lockPath)) return;
+
+    if (isStale(lockPath, staleMs) && reclaimStaleLock(lockPath, staleMs)) {
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for lock ${lockPath}; another fastssh process is writing. Remove the file if no other fastssh is running.`);
+    }
+    sleepSync(RETRY_MS);
+  }
+}
+
+const held = new Map();
+
+/**
+ * Runs `fn` while holding the lock at `lockPath`
+ * Re-entrant within one process, so locked helpers can call each other.
+ */
+export function withFileLock(lockPath, fn, options = {}) {
+  const { timeoutMs = 5000, staleMs = 30000 } = options;
+
+  const depth = held.get(lockPath) || 0;
+  if (depth === 0) {
+    acquire(lockPath, timeoutMs, staleMs);
+  }
+  held.set(lockPath, depth + 1);
+
+  try {
+    return fn();
+  } finally {
+    held.set(lockPath, depth);
+    if (depth === 0) {
+      held.delete(lockPath);
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+}
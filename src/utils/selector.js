@@ -0,0 +1,26 @@
+/**
+ * Server selectors: `@<tag-or-group>` picks saved servers by tag or group
+ * Globs are allowed, e.g. `@env:*` or `@role:db*`
+ */
+
+import { matchesGlob } from "./edge-cases.js";
+
+export function isSelector(value) {
+  return typeof value === "string" && value.length > 1 && value.startsWith("@");
+}
+
+/**
+ * Checks a server entry (with `tags` and `group`) against a selector
+ */
+export function matchesSelector(server, selector) {
+  const pattern = selector.slice(1);
+  if (server.group && matchesGlob(server.group, pattern)) return true;
+  return (server.tags || []).some(tag => matchesGlob(tag, pattern));
+}
+
+/**
+ * Returns the names of entries (as from listServerEntries) matching a selector
+ */
+export function selectServers(entries, selector) {
+  return entries.filter(server => matchesSelector(server, selector)).map(server => server.name);
+}
@@ -0,0 +1,197 @@
+/**
+ * OpenSSH client config (~/.ssh/config) parsing and rendering
+ * Follows ssh_config(5): for each option the first obtained value wins
+ */
+
+import { normalizeLineEndings, matchesGlob, validateKeepalive, validatePort } from "./edge-cases.js";
+
+/**
+ * Splits a value into arguments, honoring double quotes
+ */
+function splitArgs(value) {
+  return (value.match(/"[^"]*"|\S+/g) || []).map(arg => arg.replace(/^"|"$/g, ""));
+}
+
+/**
+ * Parses config text into blocks of { patterns, options }
+ * Options before the first Host line apply to every host. Match blocks are
+ * kept but flagged unsupported, so their options never apply.
+ */
+export function parseSSHConfig(content) {
+  let current = { patterns: ["*"], options: {} };
+  const blocks = [current];
+
+  for (const rawLine of normalizeLineEndings(content || "").split("\n")) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const match = line.match(/^([^\s=]+)\s*(?:=\s*|\s)(.*)$/);
+    if (!match) continue;
+
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === "host") {
+      current = { patterns: splitArgs(value), options: {} };
+      blocks.push(current);
+      continue;
+    }
+
+    if (key === "match") {
+      current = { patterns: [], options: {}, unsupported: `Match ${value}` };
+      blocks.push(current);
+      continue;
+    }
+
+    if (key === "identityfile") {
+      current.options.identityfile = [...(current.options.identityfile || []), ...splitArgs(value)];
+      continue;
+    }
+
+    if (!(key in current.options)) {
+      current.options[key] = splitArgs(value).join(" ");
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Checks an alias against Host patterns, including `!negated` ones
+ */
+export function matchesHostPatterns(alias, patterns) {
+  let matched = false;
+  for (const pattern of patterns) {
+    if (pattern.startsWith("!")) {
+      if (matchesGlob(alias, pattern.slice(1))) return false;
+    } else if (matchesGlob(alias, pattern)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+/**
+ * Lists concrete Host aliases (patterns without wildcards or negation)
+ */
+export function listHostAliases(blocks) {
+  const aliases = new Set();
+  for (const block of blocks) {
+    if (block.unsupported) continue;
+    for (const pattern of block.patterns) {
+      if (!/[*?!]/.test(pattern)) aliases.add(pattern);
+    }
+  }
+  return [...aliases];
+}
+
+/**
+ * Collects the effective options for an alias across all matching blocks
+ */
+export function resolveHostOptions(blocks, alias) {
+  const options = {};
+  for (const block of blocks) {
+    if (block.unsupported || !matchesHostPatterns(alias, block.patterns)) continue;
+    for (const [key, value] of Object.entries(block.options)) {
+      if (key === "identityfile") {
+        options.identityfile = [...(options.identityfile || []), ...value];
+      } else if (!(key in options)) {
+        options[key] = value;
+      }
+    }
+  }
+  return options;
+}
+
+/**
+ * Expands the ssh_config tokens fastssh can resolve statically
+ */
+function expandTokens(value, alias, user) {
+  return value
+    .replaceAll("%%", "\0")
+    .replaceAll("%h", alias)
+    .replaceAll("%n", alias)
+    .replaceAll("%r", user)
+    .replaceAll("%d", "~")
+    .replaceAll("%u", user)
+    .replaceAll("\0", "%");
+}
+
+/**
+ * Converts resolved options into a fastssh server entry
+ * Returns { entry, warnings }; the entry's `jump` is the alias of the last ProxyJump hop.
+ * A host that cannot be saved (a bad Port) gets { entry: null, error } instead.
+ */
+export function toServerEntry(alias, options, defaults = {}) {
+  const warnings = [];
+  const user = options.user || defaults.user;
+  const portCheck = validatePort(options.port ?? 22);
+  if (!portCheck.valid) {
+    return { entry: null, warnings, error: `Port ${options.port}: ${portCheck.error}` };
+  }
+
+  const entry = {
+    host: expandTokens(options.hostname || alias, alias, user),
+    user,
+    port: portCheck.port,
+    authType: "key"
+  };
+
+  const identity = options.identityfile?.[0];
+  entry.keyPath = identity ? expandTokens(identity, alias, user) : defaults.keyPath;
+  if (options.identityfile?.length > 1) {
+    warnings.push(`only the first IdentityFile is used (${entry.keyPath})`);
+  }
+
+  if (options.proxyjump && options.proxyjump.toLowerCase() !== "none") {
+    const hops = options.proxyjump.split(",").map(hop => hop.trim());
+    entry.jump = hops.at(-1);
+    if (hops.length > 1) {
+      warnings.push(`ProxyJump chain ${hops.join(" → ")}: set '${entry.jump}' to jump through '${hops.at(-2)}'`);
+    }
+  }
+
+  // ServerAliveInterval / ServerAliveCountMax mean the same as fastssh's keepalive
+  const keepalive = { ServerAliveInterval: "keepaliveInterval", ServerAliveCountMax: "keepaliveCountMax" };
+  for (const [option, field] of Object.entries(keepalive)) {
+    const value = options[option.toLowerCase()];
+    if (value === undefined) continue;
+    const check = validateKeepalive(field, value);
+    if (check.valid) entry[field] = check.value;
+    else warnings.push(`${option} ignored: ${check.error}`);
+  }
+
+  if (options.proxycommand) {
+    warnings.push("ProxyCommand is not supported and was ignored");
+  }
+
+  return { entry, warnings };
+}
+
+/**
+ * Renders saved servers as an OpenSSH config snippet
+ */
+export function renderSSHConfig(servers) {
+  const quote = value => (/\s/.test(String(value)) ? `"${value}"` : String(value));
+  const lines = ["# Generated by fastssh. Hosts below mirror `fastssh list`.", ""];
+
+  for (const [name, server] of Object.entries(servers)) {
+    if (server.description) lines.push(`# ${server.description}`);
+    lines.push(`Host ${quote(name)}`);
+    lines.push(`  HostName ${quote(server.host)}`);
+    if (server.user) lines.push(`  User ${quote(server.user)}`);
+    if (server.port && Number(server.port) !== 22) lines.push(`  Port ${server.port}`);
+    if (server.authType === "password" || server.authType === "keyboard-interactive") {
+      lines.push(`  PreferredAuthentications ${server.authType}`);
+    } else if (server.authType !== "agent" && server.keyPath) {
+      lines.push(`  IdentityFile ${quote(server.keyPath)}`);
+      lines.push("  IdentitiesOnly yes");
+    }
+    if (server.jump) lines.push(`  ProxyJump ${quote(server.jump)}`);
+    if (server.keepaliveInterval !== undefined) lines.push(`  ServerAliveInterval ${server.keepaliveInterval}`);
+    if (server.keepaliveCountMax !== undefined) lines.push(`  ServerAliveCountMax ${server.keepaliveCountMax}`);
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
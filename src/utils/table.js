@@ -0,0 +1,22 @@
+/**
+ * Plain-text table rendering for terminal output
+ */
+
+/**
+ * Renders rows as left-aligned columns under an underlined header
+ * Cells are stringified; null/undefined render as "-"
+ */
+export function renderTable(headers, rows) {
+  const cells = rows.map(row => row.map(cell => (cell === null || cell === undefined ? "-" : String(cell))));
+  const widths = headers.map((header, i) =>
+    Math.max(header.length, ...cells.map(row => row[i].length))
+  );
+
+  const format = row => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+
+  return [
+    format(headers),
+    format(widths.map(width => "─".repeat(width))),
+    ...cells.map(format)
+  ].join("\n");
+}
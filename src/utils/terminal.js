@@ -0,0 +1,117 @@
+/**
+ * Interactive terminal sessions
+ * The remote pty mirrors the local terminal: its TERM, its size and, where
+ * the server's AcceptEnv allows it, the locale (like OpenSSH's SendEnv LANG LC_*).
+ */
+
+const DEFAULT_TERM = "xterm-256color";
+
+/**
+ * Pseudo-terminal settings for the local terminal
+ * Pixel sizes are 0, which tells the server they are unknown.
+ */
+export function getPtyOptions(output = process.stdout, env = process.env) {
+  return {
+    term: env.TERM || DEFAULT_TERM,
+    cols: output.columns || 80,
+    rows: output.rows || 24,
+    width: 0,
+    height: 0
+  };
+}
+
+/**
+ * LANG and LC_* variables that are set locally
+ */
+export function getLocaleEnv(env = process.env) {
+  return Object.fromEntries(
+    Object.entries(env).filter(([name, value]) => value && (name === "LANG" || name.startsWith("LC_")))
+  );
+}
+
+/**
+ * Keeps the remote window size in step with the local terminal
+ * Returns a function that stops forwarding.
+ */
+export function forwardResize(output, channel) {
+  const onResize = () => channel.setWindow(output.rows, output.columns, 0, 0);
+  output.on("resize", onResize);
+  return () => output.off("resize", onResize);
+}
+
+/**
+ * Opens a shell with a pty and environment; node-ssh's requestShell can pass only one of them
+ */
+export function openShell(connection, { window, env }) {
+  return new Promise((resolve, reject) => {
+    connection.shell(window, { env }, (err, channel) => (err ? reject(err) : resolve(channel)));
+  });
+}
+
+/**
+ * Puts a terminal in raw mode so Ctrl-C and other control keys reach the remote side
+ * Returns a restore function that is safe to call any number of times.
+ */
+export function enterRawMode(input = process.stdin) {
+  if (!input.isTTY) return () => {};
+
+  input.setRawMode(true);
+  let restored = false;
+  return () => {
+    if (restored) return;
+    restored = true;
+    input.setRawMode(false);
+  };
+}
+
+const TILDE = 0x7e;
+const DOT = 0x2e;
+const QUESTION = 0x3f;
+const CR = 0x0d;
+const LF = 0x0a;
+
+export const ESCAPE_HELP = [
+  "",
+  "Supported escape sequences:",
+  " ~.   - terminate connection",
+  " ~?   - this message",
+  " ~~   - send the escape character",
+  "(Note that escapes are only recognized immediately after newline.)",
+  ""
+].join("\r\n");
+
+/**
+ * OpenSSH-style escapes, recognized right after a newline
+ * `~.` disconnects, `~?` shows help and `~~` sends one `~`; any other `~x`
+ * is sent as typed. Returns a function mapping an input chunk to the bytes
+ * to send on; a `~` at the end of a chunk waits for the next one.
+ */
+export function createEscapeHandler({ onDisconnect, onHelp }) {
+  let atLineStart = true;
+  let pending = false;
+
+  return (chunk) => {
+    const out = [];
+    for (const byte of chunk) {
+      if (pending) {
+        pending = false;
+        if (byte === DOT) {
+          onDisconnect();
+          return Buffer.from(out);
+        }
+        if (byte === QUESTION) {
+          onHelp();
+          continue;
+        }
+        if (byte !== TILDE) out.push(TILDE);
+      } else if (atLineStart && byte === TILDE) {
+        pending = true;
+        continue;
+      }
+
+      out.push(byte);
+      atLineStart = byte === CR || byte === LF;
+    }
+    return Buffer.from(out);
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Port forwarding utilities
+ * Parses OpenSSH-style -L/-R/-D specs and speaks the SOCKS5 handshake
+ */
+
+import { validatePort } from "./edge-cases.js";
+
+const DEFAULT_BIND_ADDRESS = "127.0.0.1";
+
+/**
+ * Splits a spec on ":" while keeping bracketed IPv6 addresses whole
+ */
+function tokenizeSpec(spec) {
+  return (spec.match(/\[[^\]]*\]|[^:]+/g) || []).map(token => token.replace(/^\[|\]$/g, ""));
+}
+
+/**
+ * Parses a forward spec the way OpenSSH does
+ *   L / R: [bind_address:]port:host:hostport
+ *   D:     [bind_address:]port
+ */
+export function parseForwardSpec(type, spec) {
+  if (!["L", "R", "D"].includes(type)) {
+    return { valid: false, error: `Unknown forward type '${type}'` };
+  }
+  if (!spec || typeof spec !== "string") {
+    return { valid: false, error: `-${type} needs a forward spec` };
+  }
+
+  const tokens = tokenizeSpec(spec);
+  const expected = type === "D" ? [1, 2] : [3, 4];
+  if (!expected.includes(tokens.length)) {
+    const usage = type === "D" ? "[bind_address:]port" : "[bind_address:]port:host:hostport";
+    return { valid: false, error: `Invalid -${type} spec '${spec}'. Expected ${usage}` };
+  }
+
+  const hasBind = tokens.length === expected[1];
+  const bindAddress = hasBind ? tokens[0] : DEFAULT_BIND_ADDRESS;
+  const rest = hasBind ? tokens.slice(1) : tokens;
+
+  const bindPort = validatePort(rest[0]);
+  if (!bindPort.valid) {
+    return { valid: false, error: `Invalid -${type} spec '${spec}': ${bindPort.error}` };
+  }
+
+  const forward = { type, spec, bindAddress, bindPort: bindPort.port };
+
+  if (type !== "D") {
+    const hostPort = validatePort(rest[2]);
+    if (!hostPort.valid) {
+      return { valid: false, error: `Invalid -${type} spec '${spec}': ${hostPort.error}` };
+    }
+    forward.host = rest[1];
+    forward.hostPort = hostPort.port;
+  }
+
+  return { valid: true, forward };
+}
+
+/**
+ * Human readable description of a parsed forward
+ */
+export function describeForward(forward) {
+  const bind = `${forward.bindAddress}:${forward.bindPort}`;
+  if (forward.type === "L") return `local  ${bind} → ${forward.host}:${forward.hostPort} (via server)`;
+  if (forward.type === "R") return `remote ${bind} (on server) → ${forward.host}:${forward.hostPort}`;
+  return `socks5 ${bind} (dynamic)`;
+}
+
+const SOCKS_VERSION = 0x05;
+const SOCKS_REPLY = {
+  SUCCEEDED: 0x00,
+  GENERAL_FAILURE: 0x01,
+  HOST_UNREACHABLE: 0x04,
+  COMMAND_NOT_SUPPORTED: 0x07,
+  ADDRESS_NOT_SUPPORTED: 0x08
+};
+
+/**
+ * Parses a SOCKS5 request (RFC 1928 section 4)
+ * Returns null while the buffer is incomplete
+ */
+export function parseSocks5Request(buf) {
+  if (buf.length < 5) return null;
+  if (buf[0] !== SOCKS_VERSION) return { error: SOCKS_REPLY.GENERAL_FAILURE };
+  if (buf[1] !== 0x01) return { error: SOCKS_REPLY.COMMAND_NOT_SUPPORTED };
+
+  let host;
+  let offset;
+  switch (buf[3]) {
+    case 0x01:
+      if (buf.length < 10) return null;
+      host = Array.from(buf.subarray(4, 8)).join(".");
+      offset = 8;
+      break;
+    case 0x03: {
+      const length = buf[4];
+      if (buf.length < 5 + length + 2) return null;
+      host = buf.toString("utf8", 5, 5 + length);
+      offset = 5 + length;
+      break;
+    }
+    case 0x04: {
+      if (buf.length < 22) return null;
+      const groups = [];
+      for (let i = 4; i < 20; i += 2) {
+        groups.push(buf.readUInt16BE(i).toString(16));
+      }
+      host = groups.join(":");
+      offset = 20;
+      break;
+    }
+    default:
+      return { error: SOCKS_REPLY.ADDRESS_NOT_SUPPORTED };
+  }
+
+  return { host, port: buf.readUInt16BE(offset), length: offset + 2 };
+}
+
+function socksReply(code) {
+  return Buffer.from([SOCKS_VERSION, code, 0x00, 0x01, 0, 0, 0, 0, 0, 0]);
+}
+
+/**
+ * Serves one SOCKS5 client socket (no authentication, CONNECT only)
+ * `openStream(host, port, callback)` must call back with (err, duplexStream)
+ */
+export function handleSocks5(socket, openStream) {
+  let buffered = Buffer.alloc(0);
+  let stage = "greeting";
+
+  // Clients may hang up mid-handshake
+  socket.on("error", () => socket.destroy());
+
+  const onData = (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+
+    if (stage === "greeting") {
+      if (buffered.length < 2 || buffered.length < 2 + buffered[1]) return;
+      const methods = buffered.subarray(2, 2 + buffered[1]);
+      if (buffered[0] !== SOCKS_VERSION || !methods.includes(0x00)) {
+        socket.end(Buffer.from([SOCKS_VERSION, 0xff]));
+        return;
+      }
+      socket.write(Buffer.from([SOCKS_VERSION, 0x00]));
+      buffered = buffered.subarray(2 + buffered[1]);
+      stage = "request";
+    }
+
+    if (stage === "request") {
+      const request = parseSocks5Request(buffered);
+      if (!request) return;
+      if (request.error) {
+        socket.end(socksReply(request.error));
+        return;
+      }
+
+      stage = "connecting";
+      socket.pause();
+      socket.removeListener("data", onData);
+      const early = buffered.subarray(request.length);
+
+      openStream(request.host, request.port, (err, stream) => {
+        if (err) {
+          socket.end(socksReply(SOCKS_REPLY.HOST_UNREACHABLE));
+          return;
+        }
+        socket.write(socksReply(SOCKS_REPLY.SUCCEEDED));
+        if (early.length) stream.write(early);
+        pipeBoth(socket, stream);
+        socket.resume();
+      });
+    }
+  };
+
+  socket.on("data", onData);
+}
+
+/**
+ * Connects a local TCP socket to a forwarded stream in both directions
+ */
+export function pipeBoth(socket, stream) {
+  socket.pipe(stream).pipe(socket);
+  const close = () => {
+    socket.destroy();
+    stream.destroy?.();
+  };
+  socket.on("error", close);
+  stream.on("error", close);
+  socket.on("close", close);
+  stream.on("close", close);
+}
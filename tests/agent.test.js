@@ -0,0 +1,52 @@
+/**
+ * Tests for src/utils/agent.js
+ * Tests how SSH agent identities are described and matched
+ */
+
+import { afterEach, describe, it, expect } from "vitest";
+import ssh2 from "ssh2";
+import { describeIdentity, findIdentity, getAgentPath, listAgentIdentities } from "../src/utils/agent.js";
+
+const PUBLIC_KEY = "ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIMIAsr/mLmJ5cQ3zV6vA3jDAQtvKLugRQ6muIseSWVxh";
+
+describe("SSH Agent", () => {
+  const savedSock = process.env.SSH_AUTH_SOCK;
+
+  afterEach(() => {
+    if (savedSock === undefined) delete process.env.SSH_AUTH_SOCK;
+    else process.env.SSH_AUTH_SOCK = savedSock;
+  });
+
+  it("should describe an identity like ssh-keygen -l", () => {
+    const key = ssh2.utils.parseKey(PUBLIC_KEY);
+    key.comment = "alice@laptop";
+
+    expect(describeIdentity(key)).toEqual({
+      type: "ssh-ed25519",
+      comment: "alice@laptop",
+      fingerprint: "SHA256:cxDl75BwxuxxOiXAG4s6EWfN3zub1I57aKJVm6Grfmw",
+      publicKey: `${PUBLIC_KEY} alice@laptop`
+    });
+  });
+
+  it("should find identities by fingerprint or comment", () => {
+    const identities = [
+      { comment: "work", fingerprint: "SHA256:aaa" },
+      { comment: "home", fingerprint: "SHA256:bbb" }
+    ];
+    expect(findIdentity(identities, "SHA256:bbb").comment).toBe("home");
+    expect(findIdentity(identities, "work").fingerprint).toBe("SHA256:aaa");
+    expect(findIdentity(identities, "other")).toBeNull();
+  });
+
+  it("should use SSH_AUTH_SOCK", async () => {
+    process.env.SSH_AUTH_SOCK = "/tmp/agent.sock";
+    expect(getAgentPath()).toBe("/tmp/agent.sock");
+
+    delete process.env.SSH_AUTH_SOCK;
+    if (process.platform !== "win32") {
+      expect(getAgentPath()).toBeNull();
+      await expect(listAgentIdentities()).rejects.toThrow(/SSH_AUTH_SOCK/);
+    }
+  });
+});
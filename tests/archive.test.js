@@ -0,0 +1,55 @@
+/**
+ * Tests for src/utils/archive.js
+ * Tests encryption and tamper detection of backup archives
+ */
+
+import { describe, it, expect } from "vitest";
+import { encryptArchive, decryptArchive } from "../src/utils/archive.js";
+
+const payload = { servers: [{ name: "web1", entry: { host: "10.0.0.1" }, secrets: { passphrase: "s3cret" } }] };
+
+describe("Backup Archives", () => {
+  it("should round-trip a payload", () => {
+    const archive = encryptArchive(payload, "correct horse");
+    expect(archive).not.toContain("s3cret");
+    expect(decryptArchive(archive, "correct horse")).toEqual({ success: true, payload });
+  });
+
+  it("should use a fresh salt and IV each time", () => {
+    const a = JSON.parse(encryptArchive(payload, "pw123456"));
+    const b = JSON.parse(encryptArchive(payload, "pw123456"));
+    expect(a.kdf.salt).not.toBe(b.kdf.salt);
+    expect(a.iv).not.toBe(b.iv);
+  });
+
+  it("should reject a wrong passphrase", () => {
+    const result = decryptArchive(encryptArchive(payload, "correct horse"), "wrong horse");
+    expect(result.success).toBe(false);
+    expect(result.error).toBe("DECRYPT_FAILED");
+  });
+
+  it("should detect a tampered header", () => {
+    const envelope = JSON.parse(encryptArchive(payload, "correct horse"));
+    envelope.kdf.p = 2;
+    expect(decryptArchive(JSON.stringify(envelope), "correct horse").success).toBe(false);
+  });
+
+  it("should refuse scrypt costs it did not write before deriving a key", () => {
+    const envelope = JSON.parse(encryptArchive(payload, "pw"));
+    for (const kdf of [{ N: 2 ** 30 }, { r: 1024 }, { p: 64 }, { N: "32768" }, { salt: 7 }]) {
+      const result = decryptArchive(JSON.stringify({ ...envelope, kdf: { ...envelope.kdf, ...kdf } }), "pw");
+      expect(result.error).toBe("UNSUPPORTED");
+    }
+  });
+
+  it("should reject files that are not archives", () => {
+    expect(decryptArchive("{}", "x").error).toBe("NOT_AN_ARCHIVE");
+    expect(decryptArchive("not json", "x").error).toBe("NOT_AN_ARCHIVE");
+  });
+
+  it("should refuse archives from a newer version", () => {
+    const envelope = JSON.parse(encryptArchive(payload, "pw"));
+    envelope.version = 99;
+    expect(decryptArchive(JSON.stringify(envelope), "pw").error).toBe("NEWER_VERSION");
+  });
+});
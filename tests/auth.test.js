@@ -0,0 +1,51 @@
+/**
+ * Tests for src/utils/auth.js
+ * Tests how keyboard-interactive prompts are answered
+ */
+
+import { describe, it, expect } from "vitest";
+import { createKeyboardInteractiveHandler } from "../src/utils/auth.js";
+
+function respond(handler, prompts, instructions = "") {
+  return new Promise(resolve => handler("", instructions, "", prompts, resolve));
+}
+
+describe("Keyboard-interactive Authentication", () => {
+  it("should answer the password prompt with the saved password", async () => {
+    const asked = [];
+    const handler = createKeyboardInteractiveHandler({
+      password: "s3cret",
+      ask: async ({ prompt }) => { asked.push(prompt); return "123456"; }
+    });
+
+    const answers = await respond(handler, [
+      { prompt: "Password: ", echo: false },
+      { prompt: "Verification code: ", echo: false }
+    ]);
+    expect(answers).toEqual(["s3cret", "123456"]);
+    expect(asked).toEqual(["Verification code:"]);
+  });
+
+  it("should offer the saved password only once", async () => {
+    const handler = createKeyboardInteractiveHandler({ password: "wrong", ask: async () => "typed" });
+    expect(await respond(handler, [{ prompt: "Password:", echo: false }])).toEqual(["wrong"]);
+    expect(await respond(handler, [{ prompt: "Password:", echo: false }])).toEqual(["typed"]);
+  });
+
+  it("should relay every prompt when no password is saved", async () => {
+    const seen = [];
+    const handler = createKeyboardInteractiveHandler({
+      ask: async (question) => { seen.push(question); return "x"; }
+    });
+
+    await respond(handler, [{ prompt: "Token:", echo: true }], "Duo two-factor login");
+    expect(seen).toEqual([{ prompt: "Token:", echo: true, instructions: "Duo two-factor login" }]);
+  });
+
+  it("should fail the round when a prompt cannot be answered", async () => {
+    const handler = createKeyboardInteractiveHandler({
+      ask: async () => { throw new Error("no terminal"); }
+    });
+    expect(await respond(handler, [{ prompt: "OTP:", echo: false }])).toEqual([]);
+  });
+});
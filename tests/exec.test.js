@@ -0,0 +1,75 @@
+/**
+ * Tests for src/commands/exec.js
+ * Tests how commands are sent and how the remote status becomes the exit code
+ */
+
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import { toExitCode } from "../src/utils/exit-codes.js";
+
+describe("Remote Exec", () => {
+
+  describe("toExitCode()", () => {
+    it("should pass the remote exit status through", () => {
+      expect(toExitCode(0)).toBe(0);
+      expect(toExitCode(42)).toBe(42);
+    });
+
+    it("should map an exit signal to 128 + its number", () => {
+      expect(toExitCode(null, "SIGTERM")).toBe(143);
+      expect(toExitCode(null, "SIGKILL")).toBe(137);
+    });
+
+    it("should give 255 for an unknown signal or no status at all", () => {
+      expect(toExitCode(null, "SIGNOPE")).toBe(255);
+      expect(toExitCode(null, null)).toBe(255);
+      expect(toExitCode(undefined)).toBe(255);
+    });
+  });
+
+  describe("exec()", () => {
+    let exec;
+    let connection;
+    let exit;
+
+    beforeEach(async () => {
+      connection = {
+        execCommand: vi.fn(async () => ({ code: null, signal: "SIGTERM" })),
+        dispose: vi.fn()
+      };
+      vi.resetModules();
+      vi.doMock("../src/commands/connect.js", () => ({
+        resolveServerName: async name => name,
+        loadServerOrExit: async () => ({ host: "10.0.0.1", user: "deploy" }),
+        openConnection: async () => connection,
+        exitWithConnectionError: vi.fn()
+      }));
+      exit = vi.spyOn(process, "exit").mockImplementation(() => {});
+      ({ exec } = await import("../src/commands/exec.js"));
+    });
+
+    afterEach(() => {
+      vi.doUnmock("../src/commands/connect.js");
+      exit.mockRestore();
+    });
+
+    it("should join arguments with spaces and leave quoting to the remote shell", async () => {
+      await exec("web1", ["echo", "'a b'", "|", "wc", "-c"]);
+      expect(connection.execCommand).toHaveBeenCalledWith("echo 'a b' | wc -c", expect.any(Object));
+    });
+
+    it("should run the joined command and exit with the mirrored status", async () => {
+      await exec("web1", ["systemctl", "restart", "nginx"]);
+      expect(connection.execCommand).toHaveBeenCalledWith("systemctl restart nginx", expect.any(Object));
+      expect(connection.dispose).toHaveBeenCalled();
+      expect(exit).toHaveBeenCalledWith(143);
+    });
+
+    it("should exit with 255 when the session fails mid-command", async () => {
+      connection.execCommand.mockRejectedValue(new Error("Connection lost"));
+      const stderr = vi.spyOn(process.stderr, "write").mockImplementation(() => true);
+      await exec("web1", ["uptime"]);
+      stderr.mockRestore();
+      expect(exit).toHaveBeenCalledWith(255);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests for src/utils/hostkey.js
+ * Tests host key fingerprinting and trust-on-first-use checks
+ */
+
+import crypto from "node:crypto";
+import { describe, it, expect } from "vitest";
+import { fingerprintHostKey, createHostKeyCheck } from "../src/utils/hostkey.js";
+
+describe("Host Key Verification", () => {
+  const keyA = Buffer.from("host-key-a");
+  const keyB = Buffer.from("host-key-b");
+
+  describe("fingerprintHostKey()", () => {
+    it("should produce an OpenSSH-style SHA256 fingerprint", () => {
+      const expected = crypto.createHash("sha256").update(keyA).digest("base64").replace(/=+$/, "");
+      expect(fingerprintHostKey(keyA)).toBe(`SHA256:${expected}`);
+    });
+
+    it("should not include base64 padding", () => {
+      expect(fingerprintHostKey(keyA)).not.toContain("=");
+    });
+
+    it("should differ for different keys", () => {
+      expect(fingerprintHostKey(keyA)).not.toBe(fingerprintHostKey(keyB));
+    });
+  });
+
+  describe("createHostKeyCheck()", () => {
+    it("should accept any key when nothing is recorded", () => {
+      const check = createHostKeyCheck(null);
+      expect(check.verifier(keyA)).toBe(true);
+      expect(check.seen).toBe(fingerprintHostKey(keyA));
+      expect(check.mismatch).toBe(false);
+    });
+
+    it("should accept the recorded key", () => {
+      const check = createHostKeyCheck(fingerprintHostKey(keyA));
+      expect(check.verifier(keyA)).toBe(true);
+      expect(check.mismatch).toBe(false);
+    });
+
+    it("should reject and flag a changed key", () => {
+      const check = createHostKeyCheck(fingerprintHostKey(keyA));
+      expect(check.verifier(keyB)).toBe(false);
+      expect(check.mismatch).toBe(true);
+      expect(check.seen).toBe(fingerprintHostKey(keyB));
+    });
+  });
+});
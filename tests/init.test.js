@@ -0,0 +1,114 @@
+/**
+ * Tests for src/commands/init.js
+ * Tests how flags and FASTSSH_* variables combine, when init runs without
+ * prompts, and the exit codes of non-interactive setup
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+
+const ENV_OPTIONS = ["FASTSSH_HOST", "FASTSSH_USER", "FASTSSH_PORT", "FASTSSH_KEY", "FASTSSH_JUMP", "FASTSSH_AUTH", "FASTSSH_PASSWORD"];
+
+describe("Init", () => {
+  let home;
+  let init;
+  let exit;
+  const saved = { ...process.env };
+
+  beforeEach(async () => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), "fastssh-init-"));
+    ENV_OPTIONS.forEach(variable => delete process.env[variable]);
+    Object.assign(process.env, { FASTSSH_HOME: home, FASTSSH_SECRETS: "env", FASTSSH_NO_PROJECT: "1" });
+    vi.resetModules();
+    init = await import("../src/commands/init.js");
+    exit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    process.env = { ...saved };
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  describe("resolveInitOptions()", () => {
+    it("should fill missing flags from the environment", () => {
+      Object.assign(process.env, { FASTSSH_HOST: "10.0.0.1", FASTSSH_USER: "deploy", FASTSSH_PORT: "2222" });
+      expect(init.resolveInitOptions({ tag: ["prod"] })).toMatchObject({
+        host: "10.0.0.1", user: "deploy", port: "2222", tag: ["prod"]
+      });
+    });
+
+    it("should let flags win over the environment", () => {
+      Object.assign(process.env, { FASTSSH_HOST: "10.0.0.1", FASTSSH_AUTH: "password" });
+      expect(init.resolveInitOptions({ host: "10.0.0.2", auth: "key" })).toMatchObject({ host: "10.0.0.2", auth: "key" });
+    });
+  });
+
+  describe("isNonInteractive()", () => {
+    it("should skip prompts once a host, user or piped password is given", () => {
+      expect(init.isNonInteractive({ host: "10.0.0.1" })).toBe(true);
+      expect(init.isNonInteractive({ user: "deploy" })).toBe(true);
+      expect(init.isNonInteractive({ passwordStdin: true })).toBe(true);
+    });
+
+    it("should keep prompting when only a port or key is given", () => {
+      expect(init.isNonInteractive({ port: "2222", key: "~/.ssh/id_ed25519" })).toBe(false);
+    });
+  });
+
+  describe("basicInfoQuestions()", () => {
+    const portQuestion = options => init.basicInfoQuestions(options).find(question => question.name === "port");
+
+    it("should offer --port as the default port", () => {
+      expect(portQuestion({ port: "2222" }).default).toBe(2222);
+      expect(portQuestion({}).default).toBe(22);
+    });
+
+    it("should reject ports out of range", () => {
+      expect(portQuestion({}).validate("70000")).toBe("Port must be between 1 and 65535");
+      expect(portQuestion({}).validate("2222")).toBe(true);
+    });
+  });
+
+  describe("non-interactive init", () => {
+    it("should exit with MISSING_INPUT when the user is missing", async () => {
+      await expect(init.init("web1", { host: "10.0.0.1", auth: "password" })).rejects.toThrow("exit 3");
+    });
+
+    it("should exit with USAGE on an invalid value", async () => {
+      await expect(init.init("web1", { host: "10.0.0.1", user: "deploy", port: "0", auth: "password" }))
+        .rejects.toThrow("exit 2");
+      await expect(init.init("web1", { host: "10.0.0.1", user: "deploy", auth: "telnet" })).rejects.toThrow("exit 2");
+    });
+
+    it("should exit with USAGE on an invalid --port before prompting", async () => {
+      await expect(init.init("web1", { port: "99999", auth: "password" })).rejects.toThrow("exit 2");
+    });
+
+    it("should exit with MISSING_INPUT when no password can be read", async () => {
+      await expect(init.init("web1", { host: "10.0.0.1", user: "deploy", auth: "password" })).rejects.toThrow("exit 3");
+      expect(console.log.mock.calls.flat().join("\n")).toContain("--password-stdin or FASTSSH_PASSWORD");
+    });
+
+    it("should exit with SERVER_EXISTS instead of replacing a saved server", async () => {
+      const store = await import("../src/config/store.js");
+      await store.addServer("web1", { host: "10.0.0.9", user: "admin", authType: "password" });
+
+      await expect(init.init("web1", { host: "10.0.0.1", user: "deploy", auth: "password" })).rejects.toThrow("exit 4");
+      expect(store.loadConfig().web1.host).toBe("10.0.0.9");
+    });
+
+    it("should exit with DUPLICATE_SERVER when the account is saved under another name", async () => {
+      const store = await import("../src/config/store.js");
+      await store.addServer("web1", { host: "10.0.0.1", user: "deploy", authType: "password" });
+
+      await expect(init.init("web2", { host: "10.0.0.1", user: "deploy", auth: "password" })).rejects.toThrow("exit 5");
+      expect(exit).toHaveBeenCalledTimes(1);
+    });
+  });
+});
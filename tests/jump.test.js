@@ -0,0 +1,147 @@
+/**
+ * Tests for openJumpSocket in src/commands/connect.js
+ * Tests jump chains against stubbed SSH connections: hop order, loops and
+ * missing jump servers
+ */
+
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+
+describe("Jump Servers", () => {
+  let openJumpSocket;
+  let servers;
+  let opened;
+  let forwards;
+  let disposed;
+  let unreachable;
+
+  const server = (host, jump) => ({
+    host,
+    user: "deploy",
+    authType: "password",
+    password: "secret",
+    hostKey: "SHA256:known",
+    ...(jump ? { jump } : {})
+  });
+
+  beforeEach(async () => {
+    servers = {};
+    opened = [];
+    forwards = [];
+    disposed = [];
+    unreachable = new Set();
+
+    vi.resetModules();
+    vi.doMock("node-ssh", () => ({
+      NodeSSH: class {
+        async connect(config) {
+          this.host = config.host;
+          opened.push({ host: config.host, via: config.sock?.via ?? null });
+          this.connection = {
+            on: () => {},
+            forwardOut: (srcIP, srcPort, host, port, callback) => {
+              forwards.push(`${this.host} -> ${host}:${port}`);
+              if (unreachable.has(host)) callback(new Error("Connection refused"));
+              else callback(null, { via: this.host });
+            }
+          };
+        }
+
+        dispose() {
+          disposed.push(this.host);
+        }
+      }
+    }));
+    vi.doMock("../src/config/store.js", () => ({
+      getServer: async name => servers[name] || null,
+      setHostKey: vi.fn(),
+      touchServer: vi.fn(),
+      listServerEntries: () => [],
+      getServerSource: () => "personal",
+      getProjectFile: () => null,
+      getSettings: () => ({})
+    }));
+
+    ({ openJumpSocket } = await import("../src/commands/connect.js"));
+  });
+
+  afterEach(() => {
+    vi.doUnmock("node-ssh");
+    vi.doUnmock("../src/config/store.js");
+    vi.restoreAllMocks();
+  });
+
+  it("should forward through a single jump server", async () => {
+    servers.bastion = server("bastion.example.com");
+
+    const { sock, hop } = await openJumpSocket("bastion", "app.internal", 22, ["app"]);
+
+    expect(opened).toEqual([{ host: "bastion.example.com", via: null }]);
+    expect(forwards).toEqual(["bastion.example.com -> app.internal:22"]);
+    expect(sock.via).toBe("bastion.example.com");
+    expect(hop.host).toBe("bastion.example.com");
+  });
+
+  it("should open a chain of jump servers outermost first", async () => {
+    servers.edge = server("edge.example.com");
+    servers.inner = server("inner.internal", "edge");
+
+    const { sock } = await openJumpSocket("inner", "app.internal", 2222, ["app"]);
+
+    expect(opened).toEqual([
+      { host: "edge.example.com", via: null },
+      { host: "inner.internal", via: "edge.example.com" }
+    ]);
+    expect(forwards).toEqual([
+      "edge.example.com -> inner.internal:22",
+      "inner.internal -> app.internal:2222"
+    ]);
+    expect(sock.via).toBe("inner.internal");
+  });
+
+  it("should reject a loop before connecting anywhere", async () => {
+    servers.a = server("a.example.com", "b");
+    servers.b = server("b.example.com", "a");
+
+    await expect(openJumpSocket("b", "a.example.com", 22, ["a"]))
+      .rejects.toThrow("Jump host loop: a → b → a");
+    expect(opened).toEqual([]);
+  });
+
+  it("should reject a server that jumps through itself", async () => {
+    servers.a = server("a.example.com", "a");
+
+    await expect(openJumpSocket("a", "a.example.com", 22, ["a"]))
+      .rejects.toThrow("Jump host loop: a → a");
+  });
+
+  it("should reject a missing jump server", async () => {
+    await expect(openJumpSocket("ghost", "app.internal", 22, ["app"]))
+      .rejects.toThrow("Jump server 'ghost' not found");
+    expect(opened).toEqual([]);
+  });
+
+  it("should reject a missing server further up the chain", async () => {
+    servers.inner = server("inner.internal", "ghost");
+
+    await expect(openJumpSocket("inner", "app.internal", 22, ["app"]))
+      .rejects.toThrow("Jump server 'ghost' not found");
+    expect(opened).toEqual([]);
+  });
+
+  it("should fail instead of prompting for a jump server's password when prompts are off", async () => {
+    servers.bastion = { ...server("bastion.example.com"), password: null };
+
+    await expect(openJumpSocket("bastion", "app.internal", 22, ["app"], { prompts: false }))
+      .rejects.toThrow("password not stored for 'bastion'");
+    expect(opened).toEqual([]);
+  });
+
+  it("should close the hop when it cannot reach the target", async () => {
+    servers.bastion = server("bastion.example.com");
+    unreachable.add("app.internal");
+
+    await expect(openJumpSocket("bastion", "app.internal", 22, ["app"]))
+      .rejects.toThrow("Jump server 'bastion' could not reach app.internal:22: Connection refused");
+    expect(disposed).toEqual(["bastion.example.com"]);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for src/utils/lock.js
+ * Tests the advisory lock used around config writes
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { pathToFileURL } from "node:url";
+import { afterEach, beforeEach, describe, it, expect } from "vitest";
+import { withFileLock, reclaimStaleLock } from "../src/utils/lock.js";
+
+const LOCK_MODULE = pathToFileURL(path.resolve("src/utils/lock.js")).href;
+
+/**
+ * Runs a separate process that takes the lock and logs when it enters and leaves
+ */
+function lockingProcess(lockPath, logPath) {
+  const script = `
+    import fs from "node:fs";
+    import { withFileLock } from ${JSON.stringify(LOCK_MODULE)};
+    withFileLock(${JSON.stringify(lockPath)}, () => {
+      fs.appendFileSync(${JSON.stringify(logPath)}, "in\\n");
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+      fs.appendFileSync(${JSON.stringify(logPath)}, "out\\n");
+    }, { timeoutMs: 10000 });
+  `;
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["--input-type=module", "-e", script], { stdio: "inherit" });
+    child.on("error", reject);
+    child.on("exit", resolve);
+  });
+}
+
+describe("Config Lock", () => {
+  let dir;
+  let lockPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "fastssh-lock-"));
+    lockPath = path.join(dir, "config.json.lock");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should hold the lock only while the callback runs", () => {
+    const seen = withFileLock(lockPath, () => fs.readFileSync(lockPath, "utf8"));
+    expect(seen).toBe(String(process.pid));
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  it("should be re-entrant within a process", () => {
+    const result = withFileLock(lockPath, () => withFileLock(lockPath, () => "inner"));
+    expect(result).toBe("inner");
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  it("should release the lock when the callback throws", () => {
+    expect(() => withFileLock(lockPath, () => { throw new Error("boom"); })).toThrow("boom");
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  it("should reclaim a lock left by a process that is gone", () => {
+    fs.writeFileSync(lockPath, "999999999");
+    expect(withFileLock(lockPath, () => "ok")).toBe("ok");
+  });
+
+  it("should not remove a lock that was taken again after it looked stale", () => {
+    // By the time the reclaim guard is held, a live process owns the lock
+    fs.writeFileSync(lockPath, String(process.ppid));
+    expect(reclaimStaleLock(lockPath, 30000)).toBe(false);
+    expect(fs.readFileSync(lockPath, "utf8")).toBe(String(process.ppid));
+  });
+
+  it("should leave a stale lock to the process already reclaiming it", () => {
+    fs.writeFileSync(lockPath, "999999999");
+    fs.writeFileSync(`${lockPath}.reclaim`, String(process.ppid));
+    expect(reclaimStaleLock(lockPath, 30000)).toBe(false);
+    expect(fs.existsSync(lockPath)).toBe(true);
+  });
+
+  it("should let only one of several processes reclaim a stale lock at a time", async () => {
+    const logPath = path.join(dir, "log");
+    fs.writeFileSync(lockPath, "999999999");
+
+    const codes = await Promise.all([1, 2, 3, 4].map(() => lockingProcess(lockPath, logPath)));
+    expect(codes).toEqual([0, 0, 0, 0]);
+    expect(fs.readFileSync(logPath, "utf8")).toBe("in\nout\n".repeat(4));
+    expect(fs.existsSync(lockPath)).toBe(false);
+  }, 20000);
+
+  it("should time out while a live process holds the lock", () => {
+    fs.writeFileSync(lockPath, String(process.ppid));
+    expect(() => withFileLock(lockPath, () => "never", { timeoutMs: 120 })).toThrow("Timed out");
+    expect(fs.existsSync(lockPath)).toBe(true);
+  });
+});
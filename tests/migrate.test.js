@@ -0,0 +1,149 @@
+/**
+ * Tests for src/commands/migrate.js
+ * Tests `migrate ports` against a stubbed SSH probe: which entries lack a
+ * stored port and what gets written back for them
+ */
+
+import { EventEmitter } from "node:events";
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+
+describe("Migrate Ports", () => {
+  let migrate;
+  let servers;
+  let listening;
+  let probes;
+  let updates;
+  let answers;
+  let exit;
+  const isTTY = process.stdin.isTTY;
+
+  // A stream that greets like an SSH server when something listens there
+  function probeStream(address) {
+    probes.push(address);
+    const stream = new EventEmitter();
+    stream.destroy = vi.fn();
+    setImmediate(() => {
+      if (listening.has(address)) stream.emit("data", Buffer.from("SSH-2.0-OpenSSH_9.6\r\n"));
+      else stream.emit("error", new Error("connect ECONNREFUSED"));
+    });
+    return stream;
+  }
+
+  beforeEach(async () => {
+    servers = {};
+    listening = new Set();
+    probes = [];
+    updates = [];
+    answers = [];
+
+    vi.resetModules();
+    vi.doMock("node:net", () => ({
+      default: { connect: ({ host, port }) => probeStream(`${host}:${port}`) }
+    }));
+    vi.doMock("../src/commands/connect.js", () => ({
+      openJumpSocket: async (jump, host, port) => ({
+        sock: probeStream(`${jump}>${host}:${port}`),
+        hop: { dispose: vi.fn() }
+      })
+    }));
+    vi.doMock("../src/config/store.js", () => ({
+      loadConfig: () => servers,
+      updateServer: (name, changes) => {
+        updates.push([name, changes]);
+        Object.assign(servers[name], changes);
+      }
+    }));
+    vi.doMock("inquirer", () => ({
+      default: { prompt: async () => ({ port: answers.shift() }) }
+    }));
+
+    exit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    process.exitCode = undefined;
+    process.stdin.isTTY = false;
+
+    ({ migrate } = await import("../src/commands/migrate.js"));
+  });
+
+  afterEach(() => {
+    vi.doUnmock("node:net");
+    vi.doUnmock("../src/commands/connect.js");
+    vi.doUnmock("../src/config/store.js");
+    vi.doUnmock("inquirer");
+    vi.restoreAllMocks();
+    process.exitCode = undefined;
+    process.stdin.isTTY = isTTY;
+  });
+
+  it("should only probe entries without a stored port", async () => {
+    servers.web1 = { host: "10.0.0.1", user: "deploy", port: 2222 };
+    servers.web2 = { host: "10.0.0.2", user: "deploy", port: 22 };
+    servers.old = { host: "10.0.0.3", user: "deploy" };
+    listening.add("10.0.0.3:22");
+
+    await migrate("ports");
+
+    expect(probes).toEqual(["10.0.0.3:22"]);
+    expect(updates).toEqual([["old", { port: 22 }]]);
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it("should do nothing when every entry has a port", async () => {
+    servers.web1 = { host: "10.0.0.1", user: "deploy", port: 22 };
+
+    await migrate("ports");
+
+    expect(probes).toEqual([]);
+    expect(updates).toEqual([]);
+  });
+
+  it("should probe through the jump server", async () => {
+    servers.app = { host: "app.internal", user: "deploy", jump: "bastion" };
+    listening.add("bastion>app.internal:22");
+
+    await migrate("ports");
+
+    expect(probes).toEqual(["bastion>app.internal:22"]);
+    expect(updates).toEqual([["app", { port: 22 }]]);
+  });
+
+  it("should leave entries unchanged and fail without a terminal to ask", async () => {
+    servers.old = { host: "10.0.0.3", user: "deploy" };
+
+    await migrate("ports");
+
+    expect(updates).toEqual([]);
+    expect(servers.old.port).toBeUndefined();
+    expect(process.exitCode).toBe(1);
+  });
+
+  it("should save the port given at the prompt", async () => {
+    process.stdin.isTTY = true;
+    servers.old = { host: "10.0.0.3", user: "deploy" };
+    listening.add("10.0.0.3:2200");
+    answers.push("2200");
+
+    await migrate("ports");
+
+    expect(probes).toEqual(["10.0.0.3:22", "10.0.0.3:2200"]);
+    expect(updates).toEqual([["old", { port: 2200 }]]);
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it("should save the given port even when nothing answers there", async () => {
+    process.stdin.isTTY = true;
+    servers.old = { host: "10.0.0.3", user: "deploy" };
+    answers.push("2200");
+
+    await migrate("ports");
+
+    expect(updates).toEqual([["old", { port: 2200 }]]);
+  });
+
+  it("should reject unknown migrations", async () => {
+    await expect(migrate("hosts")).rejects.toThrow("exit 2");
+    expect(exit).toHaveBeenCalledWith(2);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for src/config/paths.js
+ * Tests FASTSSH_HOME, --config and profile resolution
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it, expect } from "vitest";
+import {
+  configurePaths,
+  getActiveProfile,
+  getConfigFile,
+  getKeychainService,
+  listProfiles,
+  setActiveProfile,
+  validateProfileName
+} from "../src/config/paths.js";
+
+describe("Config Paths and Profiles", () => {
+  let home;
+  const saved = { home: process.env.FASTSSH_HOME, profile: process.env.FASTSSH_PROFILE };
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), "fastssh-home-"));
+    process.env.FASTSSH_HOME = home;
+    delete process.env.FASTSSH_PROFILE;
+    configurePaths({});
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+    for (const [key, env] of [["home", "FASTSSH_HOME"], ["profile", "FASTSSH_PROFILE"]]) {
+      if (saved[key] === undefined) delete process.env[env];
+      else process.env[env] = saved[key];
+    }
+    configurePaths({});
+  });
+
+  it("should keep the default profile in FASTSSH_HOME/config.json", () => {
+    expect(getActiveProfile()).toBe("default");
+    expect(getConfigFile()).toBe(path.join(home, "config.json"));
+  });
+
+  it("should give named profiles their own config and keychain service", () => {
+    const homeService = getKeychainService();
+    configurePaths({ profile: "work" });
+    expect(getConfigFile()).toBe(path.join(home, "profiles", "work", "config.json"));
+    expect(getKeychainService()).not.toBe(homeService);
+  });
+
+  it("should keep the original keychain services for ~/.fastssh", () => {
+    delete process.env.FASTSSH_HOME;
+    expect(getKeychainService()).toBe("fastssh");
+    configurePaths({ profile: "work" });
+    expect(getKeychainService()).toBe("fastssh:work");
+  });
+
+  it("should never share the real keychain service with another home or --config", () => {
+    const service = getKeychainService();
+    expect(service).toMatch(/^fastssh@[0-9a-f]{12}$/);
+
+    configurePaths({ configPath: path.join(home, "scratch.json") });
+    expect(getKeychainService()).toMatch(/^fastssh@/);
+    expect(getKeychainService()).not.toBe(service);
+
+    configurePaths({ configPath: path.join(os.homedir(), ".fastssh", "config.json") });
+    expect(getKeychainService()).toBe("fastssh");
+  });
+
+  it("should prefer --profile over FASTSSH_PROFILE over the saved choice", () => {
+    setActiveProfile("saved");
+    expect(getActiveProfile()).toBe("saved");
+
+    process.env.FASTSSH_PROFILE = "env";
+    expect(getActiveProfile()).toBe("env");
+
+    configurePaths({ profile: "flag" });
+    expect(getActiveProfile()).toBe("flag");
+  });
+
+  it("should use --config as given", () => {
+    configurePaths({ configPath: "some/inventory.json" });
+    expect(getConfigFile()).toBe(path.resolve("some/inventory.json"));
+  });
+
+  it("should list the default profile first", () => {
+    fs.mkdirSync(path.join(home, "profiles", "work"), { recursive: true });
+    fs.mkdirSync(path.join(home, "profiles", "personal"), { recursive: true });
+    expect(listProfiles()).toEqual(["default", "personal", "work"]);
+  });
+
+  it("should reject profile names that are not safe directory names", () => {
+    expect(validateProfileName("work-2").valid).toBe(true);
+    expect(validateProfileName("../etc").valid).toBe(false);
+    expect(validateProfileName("a b").valid).toBe(false);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for src/config/project.js
+ * Tests project file discovery and parsing of shared server entries
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it, expect } from "vitest";
+import { findProjectFile, parseProjectFile } from "../src/config/project.js";
+
+const defaults = { user: "alice", keyPath: "/home/alice/.ssh/id_ed25519" };
+
+describe("Project Servers", () => {
+
+  describe("findProjectFile()", () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), "fastssh-project-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it("should find a file in a parent directory", () => {
+      const nested = path.join(root, "a", "b");
+      fs.mkdirSync(nested, { recursive: true });
+      fs.writeFileSync(path.join(root, ".fastssh.yaml"), "servers: {}\n");
+      expect(findProjectFile(nested)).toBe(path.join(root, ".fastssh.yaml"));
+    });
+
+    it("should prefer the closest file", () => {
+      const nested = path.join(root, "a");
+      fs.mkdirSync(nested);
+      fs.writeFileSync(path.join(root, ".fastssh.yaml"), "servers: {}\n");
+      fs.writeFileSync(path.join(nested, ".fastssh.json"), '{"servers":{}}');
+      expect(findProjectFile(nested)).toBe(path.join(nested, ".fastssh.json"));
+    });
+  });
+
+  describe("parseProjectFile()", () => {
+    it("should parse YAML and fill in personal defaults", () => {
+      const result = parseProjectFile("servers:\n  web1:\n    host: 10.0.0.1\n", ".fastssh.yaml", defaults);
+      expect(result.success).toBe(true);
+      expect(result.issues).toEqual([]);
+      expect(result.servers.web1).toEqual({
+        host: "10.0.0.1",
+        user: "alice",
+        port: 22,
+        authType: "key",
+        keyPath: "/home/alice/.ssh/id_ed25519"
+      });
+    });
+
+    it("should keep shared values over the defaults", () => {
+      const content = JSON.stringify({ servers: { web1: { host: "10.0.0.1", user: "deploy", port: 2222 } } });
+      const { servers } = parseProjectFile(content, ".fastssh.json", defaults);
+      expect(servers.web1.user).toBe("deploy");
+      expect(servers.web1.port).toBe(2222);
+    });
+
+    it("should skip entries that carry secrets", () => {
+      const content = JSON.stringify({ servers: { web1: { host: "10.0.0.1", password: "hunter2" } } });
+      const result = parseProjectFile(content, ".fastssh.json", defaults);
+      expect(result.servers).toEqual({});
+      expect(result.issues[0]).toMatch(/password must not be in a shared file/);
+    });
+
+    it("should ignore unknown fields with an issue", () => {
+      const content = JSON.stringify({ servers: { web1: { host: "10.0.0.1", lastConnected: "x" } } });
+      const result = parseProjectFile(content, ".fastssh.json", defaults);
+      expect(result.servers.web1.lastConnected).toBeUndefined();
+      expect(result.issues).toContain("server 'web1': unknown field 'lastConnected' ignored");
+    });
+
+    it("should reject files without a servers map", () => {
+      expect(parseProjectFile("hosts: []\n", ".fastssh.yml", defaults).success).toBe(false);
+      expect(parseProjectFile("servers: [\n", ".fastssh.yml", defaults).error).toBe("INVALID_YAML");
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for src/commands/remove.js
+ * Tests the command that takes an installed public key off the server, and
+ * how remove logs in to run it
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execSync } from "node:child_process";
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import { buildRemoveKeyCommand } from "../src/commands/remove.js";
+
+const AGENT_KEY = "ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIHx/y+z agent-key";
+const OTHER_KEY = "ssh-rsa AAAAB3NzaC1yc2EAAAADAQABAAABAQ/other+key laptop";
+
+describe("Remove Server", () => {
+  let home;
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), "fastssh-remove-"));
+    fs.mkdirSync(path.join(home, ".ssh"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  function runOnFakeServer(authorizedKeys, publicKey) {
+    const file = path.join(home, ".ssh", "authorized_keys");
+    fs.writeFileSync(file, authorizedKeys);
+    execSync(buildRemoveKeyCommand(publicKey), { env: { ...process.env, HOME: home }, shell: "/bin/sh" });
+    return fs.readFileSync(file, "utf8");
+  }
+
+  it("should delete only the matching key, whatever its comment", () => {
+    const remaining = runOnFakeServer(`${OTHER_KEY}\n${AGENT_KEY.replace("agent-key", "old comment")}\n`, AGENT_KEY);
+    expect(remaining).toBe(`${OTHER_KEY}\n`);
+    expect(fs.existsSync(path.join(home, ".ssh", "authorized_keys.bak"))).toBe(true);
+  });
+
+  it("should succeed when the key was the only one", () => {
+    expect(runOnFakeServer(`${AGENT_KEY}\n`, AGENT_KEY)).toBe("");
+  });
+
+  describe("remove()", () => {
+    let remove;
+    let cfg;
+    let logins;
+    let refuse;
+    let answers;
+    let removed;
+    let exit;
+
+    beforeEach(async () => {
+      const keyPath = path.join(home, ".ssh", "id_ed25519");
+      fs.writeFileSync(`${keyPath}.pub`, `${OTHER_KEY}\n`);
+      cfg = { host: "10.0.0.1", user: "deploy", authType: "key", keyPath };
+      logins = [];
+      refuse = null;
+      answers = [];
+      removed = [];
+
+      vi.resetModules();
+      vi.doMock("../src/commands/connect.js", () => ({
+        resolveServerName: async name => name,
+        ensurePersonalServer: vi.fn(),
+        openConnection: async (name, server) => {
+          logins.push(server.authType === "password" ? `password ${server.password}` : server.authType);
+          if (refuse && server.authType !== "password") throw refuse;
+          return { execCommand: vi.fn(async () => ({ code: 0 })), dispose: vi.fn() };
+        }
+      }));
+      vi.doMock("../src/config/store.js", () => ({
+        hasServer: () => true,
+        getServer: async () => cfg,
+        findServersUsingJump: () => [],
+        removeServer: async name => removed.push(name)
+      }));
+      vi.doMock("inquirer", () => ({
+        default: { prompt: async ([question]) => ({ [question.name]: answers.shift() }) }
+      }));
+      exit = vi.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`exit ${code}`);
+      });
+      vi.spyOn(console, "log").mockImplementation(() => {});
+
+      ({ remove } = await import("../src/commands/remove.js"));
+    });
+
+    afterEach(() => {
+      vi.doUnmock("../src/commands/connect.js");
+      vi.doUnmock("../src/config/store.js");
+      vi.doUnmock("inquirer");
+      vi.restoreAllMocks();
+    });
+
+    it("should log in with the server's own key without asking for a password", async () => {
+      answers.push(true);
+      await remove("web1");
+
+      expect(logins).toEqual(["key"]);
+      expect(answers).toEqual([]);
+      expect(removed).toEqual(["web1"]);
+    });
+
+    it("should fall back to a password when the server refuses the key", async () => {
+      refuse = Object.assign(new Error("All configured authentication methods failed"), { level: "client-authentication" });
+      answers.push(true, "s3cret");
+      await remove("web1");
+
+      expect(logins).toEqual(["key", "password s3cret"]);
+      expect(removed).toEqual(["web1"]);
+    });
+
+    it("should not ask for a password when the server cannot be reached", async () => {
+      refuse = Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" });
+      answers.push(true);
+      await remove("web1");
+
+      expect(logins).toEqual(["key"]);
+      expect(removed).toEqual(["web1"]);
+    });
+
+    it("should keep the server when its host key changed", async () => {
+      refuse = Object.assign(new Error("Host key mismatch"), {
+        serverName: "web1",
+        hostCheck: { expected: "SHA256:old", seen: "SHA256:new", mismatch: true }
+      });
+      answers.push(true);
+
+      await expect(remove("web1")).rejects.toThrow("exit 8");
+      expect(exit).toHaveBeenCalledWith(8);
+      expect(removed).toEqual([]);
+    });
+  });
+});
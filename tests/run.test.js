@@ -0,0 +1,126 @@
+/**
+ * Tests for src/commands/run.js
+ * Tests parallel runs against stubbed connections: concurrency, timeouts,
+ * output modes and the overall exit status
+ */
+
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+
+const SERVERS = ["web1", "web2", "db1", "db2", "cache1"];
+
+describe("Parallel Run", () => {
+  let run;
+  let behavior;
+  let connections;
+  let exit;
+  let written;
+
+  beforeEach(async () => {
+    behavior = {};
+    connections = [];
+    written = [];
+
+    vi.resetModules();
+    vi.doMock("../src/config/store.js", () => ({
+      getServer: async name => ({ host: `${name}.example.com`, user: "deploy" }),
+      listServers: () => SERVERS,
+      listServerEntries: () => SERVERS.map(name => ({ name, tags: name.startsWith("db") ? ["role:db"] : [] }))
+    }));
+    vi.doMock("../src/commands/connect.js", () => ({
+      openConnection: async (name, cfg, options) => {
+        const connection = {
+          name,
+          options,
+          dispose: vi.fn(),
+          execCommand: (command, streams) => (behavior[name] || behavior.default)(streams, name)
+        };
+        connections.push(connection);
+        return connection;
+      }
+    }));
+
+    exit = vi.spyOn(process, "exit").mockImplementation(() => {});
+    vi.spyOn(console, "log").mockImplementation((...args) => written.push(["log", args.at(-1)]));
+    vi.spyOn(process.stdout, "write").mockImplementation(chunk => written.push(["stdout", String(chunk)]));
+    vi.spyOn(process.stderr, "write").mockImplementation(chunk => written.push(["stderr", String(chunk)]));
+
+    ({ run } = await import("../src/commands/run.js"));
+  });
+
+  afterEach(() => {
+    vi.doUnmock("../src/config/store.js");
+    vi.doUnmock("../src/commands/connect.js");
+    vi.restoreAllMocks();
+  });
+
+  const stdout = () => written.filter(([stream]) => stream === "stdout").map(([, text]) => text).join("");
+
+  it("should never run on more servers at once than --concurrency", async () => {
+    let active = 0;
+    let peak = 0;
+    behavior.default = async () => {
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active--;
+      return { code: 0 };
+    };
+
+    await run(["uptime"], { all: true, concurrency: "2" });
+    expect(connections).toHaveLength(SERVERS.length);
+    expect(peak).toBe(2);
+    expect(exit).not.toHaveBeenCalled();
+  });
+
+  it("should open connections that fail rather than prompt", async () => {
+    behavior.default = async () => ({ code: 0 });
+
+    await run(["uptime"], { servers: "web1,db1" });
+    expect(connections.map(connection => connection.options.prompts)).toEqual([false, false]);
+  });
+
+  it("should give up on a server after --timeout and still finish the others", async () => {
+    behavior.default = async () => ({ code: 0 });
+    behavior.db1 = () => new Promise(() => {});
+
+    await run(["uptime"], { servers: "web1,db1", timeout: "0.05" });
+    const hung = connections.find(connection => connection.name === "db1");
+    expect(hung.dispose).toHaveBeenCalled();
+    expect(written.some(([, text]) => /timed out after 0\.05s/.test(text))).toBe(true);
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+
+  it("should prefix each complete line with the server name", async () => {
+    behavior.default = async (streams, name) => {
+      streams.onStdout(Buffer.from(`hello from ${name}\npartial`));
+      return { code: 0 };
+    };
+
+    await run(["hostname"], { servers: "web1,db1" });
+    expect(stdout()).toContain("[web1] hello from web1\n");
+    expect(stdout()).toContain("[db1 ] hello from db1\n");
+    expect(stdout()).toContain("[web1] partial\n");
+  });
+
+  it("should keep each server's output together with --group", async () => {
+    behavior.default = async (streams, name) => {
+      streams.onStdout(Buffer.from(`${name} one\n`));
+      await new Promise(resolve => setTimeout(resolve, 5));
+      streams.onStdout(Buffer.from(`${name} two\n`));
+      return { code: 0 };
+    };
+
+    await run(["hostname"], { servers: "web1,db1", group: true });
+    expect(stdout()).toContain("web1 one\nweb1 two\n");
+    expect(stdout()).toContain("db1 one\ndb1 two\n");
+    expect(stdout()).not.toContain("[web1]");
+  });
+
+  it("should exit with a failure when any server fails or exits non-zero", async () => {
+    behavior.default = async () => ({ code: 0 });
+    behavior.db2 = async () => ({ code: 3 });
+
+    await run(["true"], { tag: "role:db" });
+    expect(connections.map(connection => connection.name)).toEqual(["db1", "db2"]);
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+});
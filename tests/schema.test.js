@@ -0,0 +1,121 @@
+/**
+ * Tests for src/config/schema.js
+ * Tests config versioning, migrations and validation on load
+ */
+
+import { describe, it, expect } from "vitest";
+import { CONFIG_VERSION, migrateConfig, parseConfig, validateServerEntry } from "../src/config/schema.js";
+
+const entry = { host: "10.0.0.1", user: "ubuntu", port: 22, authType: "key", keyPath: "~/.ssh/id_rsa" };
+
+describe("Config Schema", () => {
+
+  describe("migrateConfig()", () => {
+    it("should wrap an unversioned server map", () => {
+      const result = migrateConfig({ web1: entry });
+      expect(result.migrated).toBe(true);
+      expect(result.doc).toEqual({ version: CONFIG_VERSION, servers: { web1: entry } });
+    });
+
+    it("should leave a current document alone", () => {
+      const doc = { version: CONFIG_VERSION, servers: { web1: entry } };
+      const result = migrateConfig(doc);
+      expect(result.migrated).toBe(false);
+      expect(result.doc).toBe(doc);
+    });
+
+    it("should refuse files from a newer version", () => {
+      const result = migrateConfig({ version: CONFIG_VERSION + 1, servers: {} });
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("NEWER_VERSION");
+    });
+
+    it("should reject non-object documents", () => {
+      expect(migrateConfig([]).success).toBe(false);
+      expect(migrateConfig({ version: CONFIG_VERSION, servers: [] }).success).toBe(false);
+    });
+
+    it("should reject versions that are not whole numbers of 0 or more", () => {
+      for (const version of [-1, 0.5, "2", null, true]) {
+        const result = migrateConfig({ version, servers: { web1: entry } });
+        expect(result.success).toBe(false);
+        expect(result.error).toBe("INVALID_SHAPE");
+        expect(result.message).toContain("'version'");
+      }
+    });
+
+    it("should read a server named 'version' in an unversioned map", () => {
+      const result = migrateConfig({ version: entry });
+      expect(result.doc.servers).toEqual({ version: entry });
+    });
+  });
+
+  describe("validateServerEntry()", () => {
+    it("should accept a complete entry", () => {
+      expect(validateServerEntry("web1", entry)).toEqual([]);
+    });
+
+    it("should report missing fields and bad values", () => {
+      const issues = validateServerEntry("web1", { user: "ubuntu", port: 70000, authType: "key", keyPath: "k" });
+      expect(issues).toContain("server 'web1': Missing host");
+      expect(issues.some(i => i.includes("Invalid port"))).toBe(true);
+    });
+
+    it("should report unknown jump servers and malformed tags", () => {
+      const issues = validateServerEntry("db1", { ...entry, jump: "bastion", tags: "prod" }, {});
+      expect(issues).toContain("server 'db1': Jump server 'bastion' is not saved");
+      expect(issues).toContain("server 'db1': Tags must be a list");
+    });
+
+    it("should report fields of the wrong type instead of tripping over them", () => {
+      const issues = validateServerEntry("web1", { ...entry, host: 123, user: ["ubuntu"], keyPath: {}, authType: 1 });
+      expect(issues).toEqual([
+        "server 'web1': host must be a string",
+        "server 'web1': user must be a string",
+        "server 'web1': keyPath must be a string",
+        "server 'web1': authType must be a string"
+      ]);
+    });
+  });
+
+  describe("parseConfig()", () => {
+    it("should point at the line of a JSON typo", () => {
+      const result = parseConfig('{\n  "version": 1,\n  "servers": {,\n}');
+      expect(result.success).toBe(false);
+      expect(result.message).toMatch(/line 3/);
+    });
+
+    it("should fail when an entry is not an object", () => {
+      const result = parseConfig(JSON.stringify({ version: 1, servers: { web1: "10.0.0.1" } }));
+      expect(result.success).toBe(false);
+      expect(result.message).toContain("web1");
+    });
+
+    it("should accept jumps through known servers from elsewhere", () => {
+      const content = JSON.stringify({ version: 1, servers: { db1: { ...entry, jump: "bastion" } } });
+      expect(parseConfig(content).issues).toHaveLength(1);
+      expect(parseConfig(content, { bastion: entry }).issues).toEqual([]);
+    });
+
+    it("should load with issues rather than fail", () => {
+      const result = parseConfig(JSON.stringify({ web1: { ...entry, host: "" } }));
+      expect(result.success).toBe(true);
+      expect(result.migrated).toBe(true);
+      expect(result.issues.length).toBeGreaterThan(0);
+    });
+
+    it("should report bad or unknown global settings", () => {
+      const content = JSON.stringify({
+        version: 1,
+        servers: { web1: entry },
+        settings: { keepaliveInterval: 30, keepaliveCountMax: -1, colour: "blue" }
+      });
+      const result = parseConfig(content);
+      expect(result.success).toBe(true);
+      expect(result.issues).toEqual([
+        "settings: Keepalive count must be a whole number from 1 to 3600",
+        "settings: unknown setting 'colour'"
+      ]);
+    });
+  });
+});
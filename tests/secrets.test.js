@@ -0,0 +1,115 @@
+/**
+ * Tests for src/config/secrets.js
+ * Tests backend selection, the encrypted file vault and the env backend
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+
+describe("Secrets Backends", () => {
+  let home;
+  const saved = { ...process.env };
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), "fastssh-secrets-"));
+    process.env.FASTSSH_HOME = home;
+    vi.resetModules();
+  });
+
+  afterEach(() => {
+    process.env = { ...saved };
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  async function backendFor(name, extraEnv = {}) {
+    Object.assign(process.env, { FASTSSH_SECRETS: name, ...extraEnv });
+    const secrets = await import("../src/config/secrets.js");
+    return { secrets, backend: await secrets.getSecretsBackend() };
+  }
+
+  it("should map accounts to environment variable names", async () => {
+    const { envSecretName } = await import("../src/config/secrets.js");
+    expect(envSecretName("web1:passphrase")).toBe("FASTSSH_PASSPHRASE_WEB1");
+    expect(envSecretName("api.prod:passphrase")).toBe("FASTSSH_PASSPHRASE_API_PROD");
+  });
+
+  it("should read secrets from the environment and refuse to store them", async () => {
+    const { backend } = await backendFor("env", { FASTSSH_PASSPHRASE_WEB1: "s3cret" });
+    expect(await backend.get("fastssh", "web1:passphrase")).toBe("s3cret");
+    expect(await backend.get("fastssh", "db1:passphrase")).toBeNull();
+    await expect(backend.set("fastssh", "db1:passphrase", "x")).rejects.toThrow(/FASTSSH_PASSPHRASE_DB1/);
+  });
+
+  it("should keep file vault secrets encrypted on disk", async () => {
+    const { secrets, backend } = await backendFor("file", { FASTSSH_VAULT_PASSWORD: "master" });
+    await backend.set("fastssh", "web1:passphrase", "s3cret");
+    expect(await backend.get("fastssh", "web1:passphrase")).toBe("s3cret");
+    expect(await backend.get("fastssh:work", "web1:passphrase")).toBeNull();
+
+    const vault = secrets.getVaultPath();
+    expect(fs.readFileSync(vault, "utf8")).not.toContain("s3cret");
+    expect(fs.statSync(vault).mode & 0o777).toBe(0o600);
+
+    await backend.delete("fastssh", "web1:passphrase");
+    expect(await backend.get("fastssh", "web1:passphrase")).toBeNull();
+  });
+
+  it("should not need a password while the vault is empty", async () => {
+    const { backend } = await backendFor("file");
+    expect(await backend.get("fastssh", "web1:passphrase")).toBeNull();
+  });
+
+  it("should not ask for the vault password for secrets it does not hold", async () => {
+    const first = await backendFor("file", { FASTSSH_VAULT_PASSWORD: "master" });
+    await first.backend.set("fastssh", "web1:passphrase", "s3cret");
+
+    vi.resetModules();
+    delete process.env.FASTSSH_VAULT_PASSWORD;
+    const isTTY = process.stdin.isTTY;
+    process.stdin.isTTY = false;
+    try {
+      const { backend } = await backendFor("file");
+      expect(await backend.get("fastssh", "db1:passphrase")).toBeNull();
+      await backend.delete("fastssh", "db1:password");
+      await expect(backend.delete("fastssh", "web1:passphrase")).rejects.toThrow(/vault is locked/);
+    } finally {
+      process.stdin.isTTY = isTTY;
+    }
+
+    expect(fs.readFileSync(first.secrets.getVaultPath(), "utf8")).toContain("fastssh/web1:passphrase");
+  });
+
+  it("should open vaults that do not list their secrets", async () => {
+    const first = await backendFor("file", { FASTSSH_VAULT_PASSWORD: "master" });
+    await first.backend.set("fastssh", "web1:passphrase", "s3cret");
+    const vault = first.secrets.getVaultPath();
+    const { keys, ...archive } = JSON.parse(fs.readFileSync(vault, "utf8"));
+    expect(keys).toEqual(["fastssh/web1:passphrase"]);
+    fs.writeFileSync(vault, JSON.stringify(archive));
+
+    vi.resetModules();
+    const { backend } = await backendFor("file", { FASTSSH_VAULT_PASSWORD: "master" });
+    expect(await backend.get("fastssh", "web1:passphrase")).toBe("s3cret");
+    await backend.delete("fastssh", "web1:passphrase");
+    expect(await backend.get("fastssh", "web1:passphrase")).toBeNull();
+  });
+
+  it("should reject a wrong vault password", async () => {
+    const first = await backendFor("file", { FASTSSH_VAULT_PASSWORD: "master" });
+    await first.backend.set("fastssh", "web1:passphrase", "s3cret");
+
+    vi.resetModules();
+    const second = await backendFor("file", { FASTSSH_VAULT_PASSWORD: "wrong" });
+    await expect(second.backend.get("fastssh", "web1:passphrase")).rejects.toThrow(/Wrong passphrase/);
+  });
+
+  it("should report an unknown FASTSSH_SECRETS value", async () => {
+    process.env.FASTSSH_SECRETS = "vault";
+    const { describeSecretsBackend } = await import("../src/config/secrets.js");
+    const result = await describeSecretsBackend();
+    expect(result.error).toBe(true);
+    expect(result.reason).toMatch(/keychain, file, env/);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for src/utils/selector.js
+ * Tests @tag / @group selectors used wherever a server name is accepted
+ */
+
+import { describe, it, expect } from "vitest";
+import { isSelector, matchesSelector, selectServers } from "../src/utils/selector.js";
+import { validateTag } from "../src/utils/edge-cases.js";
+
+const servers = [
+  { name: "db1", tags: ["env:prod", "role:db"], group: "payments" },
+  { name: "db2", tags: ["env:staging", "role:db"] },
+  { name: "web1", tags: ["env:prod", "role:web"], group: "frontend" },
+  { name: "legacy" }
+];
+
+describe("Server Selectors", () => {
+
+  describe("isSelector()", () => {
+    it("should recognize @-prefixed values only", () => {
+      expect(isSelector("@role:db")).toBe(true);
+      expect(isSelector("db1")).toBe(false);
+      expect(isSelector("@")).toBe(false);
+      expect(isSelector(undefined)).toBe(false);
+    });
+  });
+
+  describe("matchesSelector()", () => {
+    it("should match tags and groups", () => {
+      expect(matchesSelector(servers[0], "@role:db")).toBe(true);
+      expect(matchesSelector(servers[0], "@payments")).toBe(true);
+      expect(matchesSelector(servers[1], "@payments")).toBe(false);
+    });
+
+    it("should handle entries without tags", () => {
+      expect(matchesSelector(servers[3], "@env:prod")).toBe(false);
+    });
+  });
+
+  describe("selectServers()", () => {
+    it("should return every matching name", () => {
+      expect(selectServers(servers, "@env:prod")).toEqual(["db1", "web1"]);
+    });
+
+    it("should support globs", () => {
+      expect(selectServers(servers, "@env:*")).toEqual(["db1", "db2", "web1"]);
+      expect(selectServers(servers, "@role:w*")).toEqual(["web1"]);
+    });
+  });
+
+  describe("validateTag()", () => {
+    it("should accept key:value style tags", () => {
+      expect(validateTag("env:prod").valid).toBe(true);
+      expect(validateTag("team-a_1.x").valid).toBe(true);
+    });
+
+    it("should reject reserved and separator characters", () => {
+      expect(validateTag("@prod").valid).toBe(false);
+      expect(validateTag("a,b").valid).toBe(false);
+      expect(validateTag("has space").valid).toBe(false);
+      expect(validateTag("").valid).toBe(false);
+    });
+  });
+});
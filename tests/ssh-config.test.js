@@ -0,0 +1,251 @@
+/**
+ * Tests for src/utils/ssh-config.js and src/commands/ssh-config.js
+ * Tests OpenSSH config parsing, host resolution, rendering and export files
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import {
+  parseSSHConfig,
+  matchesHostPatterns,
+  listHostAliases,
+  resolveHostOptions,
+  toServerEntry,
+  renderSSHConfig
+} from "../src/utils/ssh-config.js";
+
+const SAMPLE = `
+# Team servers
+Host web1 web2
+  HostName %h.example.com
+  User deploy
+
+Host db1
+  HostName 10.0.0.5
+  Port 2222
+  IdentityFile ~/.ssh/id_ed25519
+  ProxyJump bastion
+
+Host bastion
+  HostName bastion.example.com
+  User=ops
+
+Host * !bastion
+  User fallback
+  Port 22
+
+Match host *.internal
+  User ignored
+`;
+
+describe("SSH Config Import/Export", () => {
+
+  describe("parseSSHConfig()", () => {
+    it("should parse Host blocks and lowercase option names", () => {
+      const blocks = parseSSHConfig(SAMPLE);
+      const db = blocks.find(b => b.patterns.includes("db1"));
+      expect(db.options).toMatchObject({ hostname: "10.0.0.5", port: "2222", proxyjump: "bastion" });
+    });
+
+    it("should accept Key=Value syntax", () => {
+      const bastion = parseSSHConfig(SAMPLE).find(b => b.patterns.includes("bastion"));
+      expect(bastion.options.user).toBe("ops");
+    });
+
+    it("should flag Match blocks as unsupported", () => {
+      const blocks = parseSSHConfig(SAMPLE);
+      expect(blocks.some(b => b.unsupported?.startsWith("Match"))).toBe(true);
+    });
+
+    it("should handle CRLF line endings and quoted values", () => {
+      const blocks = parseSSHConfig('Host win\r\n  IdentityFile "~/My Keys/id_rsa"\r\n');
+      expect(blocks[1].options.identityfile).toEqual(["~/My Keys/id_rsa"]);
+    });
+  });
+
+  describe("matchesHostPatterns()", () => {
+    it("should match wildcards", () => {
+      expect(matchesHostPatterns("web1", ["web*"])).toBe(true);
+      expect(matchesHostPatterns("web12", ["web?"])).toBe(false);
+    });
+
+    it("should let negated patterns exclude a host", () => {
+      expect(matchesHostPatterns("bastion", ["*", "!bastion"])).toBe(false);
+      expect(matchesHostPatterns("db1", ["*", "!bastion"])).toBe(true);
+    });
+  });
+
+  describe("listHostAliases()", () => {
+    it("should list only concrete aliases", () => {
+      expect(listHostAliases(parseSSHConfig(SAMPLE))).toEqual(["web1", "web2", "db1", "bastion"]);
+    });
+  });
+
+  describe("resolveHostOptions()", () => {
+    it("should keep the first obtained value", () => {
+      const options = resolveHostOptions(parseSSHConfig(SAMPLE), "web1");
+      expect(options.user).toBe("deploy");
+      expect(options.port).toBe("22");
+    });
+
+    it("should skip wildcard blocks that exclude the host", () => {
+      const options = resolveHostOptions(parseSSHConfig(SAMPLE), "bastion");
+      expect(options.user).toBe("ops");
+      expect(options.port).toBeUndefined();
+    });
+  });
+
+  describe("toServerEntry()", () => {
+    const defaults = { user: "me", keyPath: "~/.ssh/id_rsa" };
+
+    it("should map OpenSSH options to a server entry", () => {
+      const options = resolveHostOptions(parseSSHConfig(SAMPLE), "db1");
+      const { entry } = toServerEntry("db1", options, defaults);
+      expect(entry).toEqual({
+        host: "10.0.0.5",
+        user: "fallback",
+        port: 2222,
+        authType: "key",
+        keyPath: "~/.ssh/id_ed25519",
+        jump: "bastion"
+      });
+    });
+
+    it("should expand %h in HostName", () => {
+      const options = resolveHostOptions(parseSSHConfig(SAMPLE), "web2");
+      expect(toServerEntry("web2", options, defaults).entry.host).toBe("web2.example.com");
+    });
+
+    it("should fall back to defaults", () => {
+      const { entry } = toServerEntry("plain", {}, defaults);
+      expect(entry).toMatchObject({ host: "plain", user: "me", port: 22, keyPath: "~/.ssh/id_rsa" });
+    });
+
+    it("should use the last hop of a ProxyJump chain and warn", () => {
+      const { entry, warnings } = toServerEntry("deep", { proxyjump: "outer,inner" }, defaults);
+      expect(entry.jump).toBe("inner");
+      expect(warnings[0]).toContain("outer");
+    });
+
+    it("should ignore ProxyJump none", () => {
+      expect(toServerEntry("x", { proxyjump: "none" }, defaults).entry.jump).toBeUndefined();
+    });
+
+    it("should refuse a port that cannot be saved", () => {
+      const { entry, error } = toServerEntry("odd", { port: "99999" }, defaults);
+      expect(entry).toBeNull();
+      expect(error).toBe("Port 99999: Port must be between 1 and 65535");
+    });
+  });
+
+  describe("renderSSHConfig()", () => {
+    it("should render servers that parse back to the same values", () => {
+      const output = renderSSHConfig({
+        db1: { host: "10.0.0.5", user: "deploy", port: 2222, keyPath: "~/.ssh/id_ed25519", jump: "bastion" },
+        web1: { host: "web1.example.com", user: "deploy", port: 22 }
+      });
+
+      const blocks = parseSSHConfig(output);
+      const db = resolveHostOptions(blocks, "db1");
+      expect(db).toMatchObject({ hostname: "10.0.0.5", user: "deploy", port: "2222", proxyjump: "bastion" });
+      expect(db.identityfile).toEqual(["~/.ssh/id_ed25519"]);
+      expect(resolveHostOptions(blocks, "web1").port).toBeUndefined();
+    });
+
+    it("should prefer password logins for entries without a key", () => {
+      const output = renderSSHConfig({
+        nas: { host: "10.0.0.9", user: "admin", port: 22, authType: "password" }
+      });
+      const nas = resolveHostOptions(parseSSHConfig(output), "nas");
+      expect(nas.preferredauthentications).toBe("password");
+      expect(nas.identityfile).toBeUndefined();
+    });
+
+    it("should carry keepalive settings both ways as ServerAlive options", () => {
+      const output = renderSSHConfig({
+        vpn: { host: "10.8.0.2", user: "ops", port: 22, keepaliveInterval: 30, keepaliveCountMax: 4 }
+      });
+      const options = resolveHostOptions(parseSSHConfig(output), "vpn");
+      expect(options).toMatchObject({ serveraliveinterval: "30", serveralivecountmax: "4" });
+
+      const { entry, warnings } = toServerEntry("vpn", { ...options, serveralivecountmax: "0" }, {});
+      expect(entry.keepaliveInterval).toBe(30);
+      expect(entry.keepaliveCountMax).toBeUndefined();
+      expect(warnings[0]).toContain("ServerAliveCountMax");
+    });
+  });
+
+  describe("import and export commands", () => {
+    let home;
+    let store;
+    let commands;
+    let exit;
+    let output;
+    const saved = { ...process.env };
+
+    beforeEach(async () => {
+      home = fs.mkdtempSync(path.join(os.tmpdir(), "fastssh-ssh-config-"));
+      Object.assign(process.env, { FASTSSH_HOME: home, FASTSSH_SECRETS: "env", FASTSSH_NO_PROJECT: "1" });
+      vi.resetModules();
+      store = await import("../src/config/store.js");
+      await store.addServer("web1", { host: "10.0.0.1", user: "deploy", port: 2222, keyPath: "~/.ssh/id_ed25519" });
+      commands = await import("../src/commands/ssh-config.js");
+      exit = vi.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`exit ${code}`);
+      });
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      output = () => console.log.mock.calls.flat().join("\n");
+      process.exitCode = undefined;
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+      process.env = { ...saved };
+      process.exitCode = undefined;
+      fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    function importFrom(content, options = {}) {
+      const file = path.join(home, "ssh_config");
+      fs.writeFileSync(file, content);
+      return commands.importSSHConfig("ssh-config", file, options);
+    }
+
+    it("should skip invalid aliases and bad ports and import the rest", async () => {
+      await importFrom("Host we:ird @prod\n  HostName 10.0.0.7\n\nHost odd\n  Port 99999\n\nHost db1\n  HostName 10.0.0.5\n  User ops\n");
+
+      expect(Object.keys(store.loadConfig())).toEqual(["web1", "db1"]);
+      expect(output()).toContain("we:ird: not a valid server name");
+      expect(output()).toContain("@prod: not a valid server name");
+      expect(output()).toContain("odd: Port 99999: Port must be between 1 and 65535, skipped");
+      expect(process.exitCode).toBeUndefined();
+    });
+
+    it("should report invalid aliases in a dry run too", async () => {
+      await importFrom("Host we:ird db1\n  HostName 10.0.0.7\n", { dryRun: true });
+
+      expect(output()).toContain("we:ird: not a valid server name");
+      expect(output()).toContain("Would import 1 of 2 host(s)");
+      expect(Object.keys(store.loadConfig())).toEqual(["web1"]);
+    });
+
+    it("should create missing directories for --out", () => {
+      const out = path.join(home, "ssh", "fastssh.conf");
+      commands.exportSSHConfig("ssh-config", { out });
+
+      expect(fs.readFileSync(out, "utf8")).toMatch(/Host web1\n[\s\S]*Port 2222/);
+      expect(fs.statSync(out).mode & 0o777).toBe(0o600);
+    });
+
+    it("should report a file it cannot write and exit with a failure", () => {
+      const out = path.join(home, "taken");
+      fs.mkdirSync(out);
+
+      expect(() => commands.exportSSHConfig("ssh-config", { out })).toThrow("exit 1");
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(output()).toContain(`Could not write ${out}`);
+    });
+  });
+});
@@ -10,14 +10,21 @@ import { beforeEach, afterEach, describe, it, expect, vi } from "vitest";
 import {
   loadConfig
 } from "../src/config/store.js";
+import { backupPaths } from "../src/utils/edge-cases.js";
 
 // Mock the config file path for testing
 const TEST_DIR = path.join(os.tmpdir(), ".fastssh_test_" + Date.now());
 const TEST_FILE = path.join(TEST_DIR, "config.json");
 
 describe("Config Store - Configuration File Management", () => {
+  let home;
+  let store;
+  let vault;
+  const fail = { set: false, delete: false, write: false };
+  const savedEnv = { ...process.env };
+  const entry = { host: "10.0.0.1", user: "deploy", port: 22, keyPath: "~/.ssh/id_ed25519" };
   
-  beforeEach(() => {
+  beforeEach(async () => {
     // Create isolated test directory
     if (!fs.existsSync(TEST_DIR)) {
       fs.mkdirSync(TEST_DIR, { recursive: true });
@@ -25,6 +32,38 @@ describe("Config Store - Configuration File Management", () => {
     
     // This ensures tests don't touch your real config
     vi.resetModules();
+
+    // The store itself, on a temporary home with an in-memory secrets backend;
+    // `fail` makes secret operations or config writes fail
+    home = fs.mkdtempSync(path.join(os.tmpdir(), "fastssh-store-"));
+    Object.assign(process.env, { FASTSSH_HOME: home, FASTSSH_NO_PROJECT: "1" });
+    Object.assign(fail, { set: false, delete: false, write: false });
+    vault = new Map();
+    vi.doMock("../src/config/secrets.js", async () => ({
+      ...(await vi.importActual("../src/config/secrets.js")),
+      getSecretsBackend: async () => ({
+        name: "fake",
+        get: async (service, account) => vault.get(account) ?? null,
+        async set(service, account, value) {
+          if (fail.set) throw new Error("keychain locked");
+          vault.set(account, value);
+        },
+        async delete(service, account) {
+          if (fail.delete) throw new Error("keychain locked");
+          vault.delete(account);
+        }
+      })
+    }));
+    vi.doMock("../src/utils/edge-cases.js", async () => {
+      const original = await vi.importActual("../src/utils/edge-cases.js");
+      return {
+        ...original,
+        safeWriteFile: (...args) => (fail.write
+          ? { success: false, error: "DISK_FULL", message: "No space left on device" }
+          : original.safeWriteFile(...args))
+      };
+    });
+    store = await import("../src/config/store.js");
   });
 
   afterEach(() => {
@@ -35,8 +74,18 @@ describe("Config Store - Configuration File Management", () => {
     if (fs.existsSync(TEST_DIR)) {
       fs.rmdirSync(TEST_DIR, { force: true });
     }
+
+    vi.doUnmock("../src/config/secrets.js");
+    vi.doUnmock("../src/utils/edge-cases.js");
+    process.env = { ...savedEnv };
+    fs.rmSync(home, { recursive: true, force: true });
   });
 
+  // Config file and secrets together, to compare before and after a failure
+  function snapshot() {
+    return { config: fs.readFileSync(store.getConfigPath(), "utf8"), secrets: Object.fromEntries(vault) };
+  }
+
   describe("loadConfig()", () => {
     it("should return empty object when config file does not exist", () => {
       // Ensure test file doesn't exist
@@ -241,6 +290,24 @@ describe("Config Store - Configuration File Management", () => {
       
       expect(config.custom.keyPath).toBe(keyPath);
     });
+
+    it("should drop a new server's secret when its config cannot be written", async () => {
+      await store.addServer("web1", { ...entry, passphrase: "s3cret" });
+      const before = snapshot();
+      fail.write = true;
+      await expect(store.addServer("db1", { host: "10.0.0.3", user: "deploy", authType: "password", password: "pw" }))
+        .rejects.toThrow("No space left");
+      fail.write = false;
+      expect(snapshot()).toEqual(before);
+    });
+
+    it("should reject names whose secrets would share environment variables", async () => {
+      await store.addServer("web-1", entry);
+
+      await expect(store.addServer("web_1", { ...entry, host: "10.0.0.2" })).rejects.toThrow(/FASTSSH_PASSPHRASE_WEB_1/);
+      await expect(store.importServer("web.1", entry)).rejects.toThrow(/share/);
+      expect(Object.keys(store.loadConfig())).toEqual(["web-1"]);
+    });
   });
 
   describe("getServer()", () => {
@@ -495,4 +562,94 @@ describe("Config Store - Configuration File Management", () => {
       }
     });
   });
-});
\ No newline at end of file
+
+  describe("findSecretNameClash()", () => {
+    it("should find the server whose variables a name would share", async () => {
+      await store.addServer("web-1", entry);
+
+      expect(store.findSecretNameClash("web.1")).toBe("web-1");
+      expect(store.findSecretNameClash("WEB_1")).toBe("web-1");
+      expect(store.findSecretNameClash("web-1")).toBeNull();
+      expect(store.findSecretNameClash("web-2")).toBeNull();
+    });
+  });
+
+  describe("touchServer() and setHostKey()", () => {
+    it("should not let connection bookkeeping push the last good backup out", async () => {
+      await store.addServer("web1", entry);
+      store.updateServer("web1", { host: "10.0.0.99" });
+
+      const backups = backupPaths(store.getConfigPath(), 5);
+      const before = backups.map(file => fs.existsSync(file) && fs.readFileSync(file, "utf8"));
+      expect(before[0]).toContain("10.0.0.1");
+
+      store.setHostKey("web1", "SHA256:first");
+      for (let i = 0; i < 6; i++) store.touchServer("web1");
+
+      expect(backups.map(file => fs.existsSync(file) && fs.readFileSync(file, "utf8"))).toEqual(before);
+      expect(store.loadConfig().web1).toMatchObject({ hostKey: "SHA256:first", host: "10.0.0.99" });
+    });
+
+    it("should still back up deliberate host key changes", async () => {
+      await store.addServer("web1", { ...entry, hostKey: "SHA256:old" });
+      store.setHostKey("web1", "SHA256:new");
+      expect(fs.readFileSync(backupPaths(store.getConfigPath())[0], "utf8")).toContain("SHA256:old");
+    });
+  });
+
+  describe("renameServer() and cloneServer()", () => {
+    beforeEach(async () => {
+      await store.addServer("web1", { ...entry, passphrase: "s3cret" });
+      await store.addServer("app1", { ...entry, host: "10.0.0.2", jump: "web1" });
+    });
+
+    it("should move the passphrase and jump references on rename", async () => {
+      await store.renameServer("web1", "web2");
+      expect(Object.keys(store.loadConfig())).toEqual(["web2", "app1"]);
+      expect(store.loadConfig().app1.jump).toBe("web2");
+      expect(Object.fromEntries(vault)).toEqual({ "web2:passphrase": "s3cret" });
+    });
+
+    it("should let a rename change only the punctuation of a name", async () => {
+      await store.renameServer("web1", "web-1");
+
+      await expect(store.renameServer("app1", "web.1")).rejects.toThrow(/share/);
+      await expect(store.cloneServer("web-1", "web.1")).rejects.toThrow(/share/);
+      expect(await store.renameServer("web-1", "web_1")).toBe(true);
+      expect(Object.keys(store.loadConfig())).toEqual(["web_1", "app1"]);
+    });
+
+    it("should drop the copied secret when the renamed config cannot be written", async () => {
+      const before = snapshot();
+      fail.write = true;
+      await expect(store.renameServer("web1", "web2")).rejects.toThrow("No space left");
+      fail.write = false;
+      expect(snapshot()).toEqual(before);
+    });
+
+    it("should put the config back when the old secret cannot be deleted", async () => {
+      const before = snapshot();
+      fail.delete = true;
+      await expect(store.renameServer("web1", "web2")).rejects.toThrow("keychain locked");
+      fail.delete = false;
+      expect(JSON.parse(snapshot().config)).toEqual(JSON.parse(before.config));
+      expect(vault.get("web1:passphrase")).toBe("s3cret");
+    });
+
+    it("should not touch the config when the clone's secret cannot be stored", async () => {
+      const before = snapshot();
+      fail.set = true;
+      await expect(store.cloneServer("web1", "web3")).rejects.toThrow("keychain locked");
+      fail.set = false;
+      expect(snapshot()).toEqual(before);
+    });
+
+    it("should drop the clone's secret when the config cannot be written", async () => {
+      const before = snapshot();
+      fail.write = true;
+      await expect(store.cloneServer("web1", "web3")).rejects.toThrow("No space left");
+      fail.write = false;
+      expect(snapshot()).toEqual(before);
+    });
+  });
+});
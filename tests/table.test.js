@@ -0,0 +1,33 @@
+/**
+ * Tests for src/utils/table.js
+ * Tests column alignment and empty cell rendering
+ */
+
+import { describe, it, expect } from "vitest";
+import { renderTable } from "../src/utils/table.js";
+
+describe("renderTable()", () => {
+  it("should pad columns to the widest cell", () => {
+    const output = renderTable(["NAME", "PORT"], [["web1", 22], ["database", 2222]]);
+    const lines = output.split("\n");
+
+    expect(lines[0]).toBe("NAME      PORT");
+    expect(lines[2]).toBe("web1      22");
+    expect(lines[3]).toBe("database  2222");
+  });
+
+  it("should underline the header", () => {
+    const lines = renderTable(["A", "BB"], [["x", "y"]]).split("\n");
+    expect(lines[1]).toBe("─  ──");
+  });
+
+  it("should render missing values as a dash", () => {
+    const lines = renderTable(["NAME", "TAGS"], [["web1", null], ["web2", undefined]]).split("\n");
+    expect(lines[2]).toBe("web1  -");
+    expect(lines[3]).toBe("web2  -");
+  });
+
+  it("should render only the header when there are no rows", () => {
+    expect(renderTable(["NAME"], []).split("\n")).toHaveLength(2);
+  });
+});
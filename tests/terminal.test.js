@@ -0,0 +1,113 @@
+/**
+ * Tests for src/utils/terminal.js
+ * Tests pty settings, locale forwarding and window resizes
+ */
+
+import { EventEmitter } from "node:events";
+import { describe, it, expect } from "vitest";
+import {
+  getPtyOptions,
+  getLocaleEnv,
+  forwardResize,
+  openShell,
+  enterRawMode,
+  createEscapeHandler
+} from "../src/utils/terminal.js";
+import { toExitCode } from "../src/utils/exit-codes.js";
+
+function fakeTerminal(columns, rows) {
+  return Object.assign(new EventEmitter(), { columns, rows });
+}
+
+describe("Terminal Sessions", () => {
+  it("should mirror the local TERM and size", () => {
+    expect(getPtyOptions(fakeTerminal(132, 43), { TERM: "screen-256color" })).toEqual({
+      term: "screen-256color", cols: 132, rows: 43, width: 0, height: 0
+    });
+  });
+
+  it("should fall back when output is not a terminal", () => {
+    expect(getPtyOptions({}, {})).toMatchObject({ term: "xterm-256color", cols: 80, rows: 24 });
+  });
+
+  it("should send LANG and LC_* only", () => {
+    const env = { LANG: "de_DE.UTF-8", LC_TIME: "en_GB.UTF-8", LC_ALL: "", HOME: "/root", TERM: "xterm" };
+    expect(getLocaleEnv(env)).toEqual({ LANG: "de_DE.UTF-8", LC_TIME: "en_GB.UTF-8" });
+  });
+
+  it("should forward resizes until stopped", () => {
+    const output = fakeTerminal(80, 24);
+    const calls = [];
+    const stop = forwardResize(output, { setWindow: (...args) => calls.push(args) });
+
+    output.columns = 120;
+    output.rows = 40;
+    output.emit("resize");
+    stop();
+    output.emit("resize");
+
+    expect(calls).toEqual([[40, 120, 0, 0]]);
+  });
+
+  it("should open the shell with both the pty and the environment", async () => {
+    const seen = [];
+    const connection = {
+      shell: (window, options, cb) => { seen.push(window, options); cb(null, "channel"); }
+    };
+    const window = { term: "xterm", cols: 80, rows: 24 };
+
+    expect(await openShell(connection, { window, env: { LANG: "C" } })).toBe("channel");
+    expect(seen).toEqual([window, { env: { LANG: "C" } }]);
+  });
+
+  describe("createEscapeHandler()", () => {
+    function typing() {
+      const events = [];
+      const handle = createEscapeHandler({
+        onDisconnect: () => events.push("disconnect"),
+        onHelp: () => events.push("help")
+      });
+      return { events, send: text => handle(Buffer.from(text)).toString() };
+    }
+
+    it("should disconnect on ~. at the start of a line", () => {
+      const { events, send } = typing();
+      expect(send("ls\r~.ignored")).toBe("ls\r");
+      expect(events).toEqual(["disconnect"]);
+    });
+
+    it("should pass ~ through in the middle of a line", () => {
+      const { events, send } = typing();
+      expect(send("cd ~.")).toBe("cd ~.");
+      expect(events).toEqual([]);
+    });
+
+    it("should send one ~ for ~~ and keep other ~ sequences", () => {
+      const { send } = typing();
+      expect(send("~~\r~x")).toBe("~\r~x");
+    });
+
+    it("should recognize an escape split across chunks", () => {
+      const { events, send } = typing();
+      expect(send("\n~")).toBe("\n");
+      expect(send("?")).toBe("");
+      expect(send("~.")).toBe("");
+      expect(events).toEqual(["help", "disconnect"]);
+    });
+  });
+
+  it("should restore raw mode exactly once", () => {
+    const calls = [];
+    const restore = enterRawMode({ isTTY: true, setRawMode: mode => calls.push(mode) });
+    restore();
+    restore();
+    expect(calls).toEqual([true, false]);
+    expect(() => enterRawMode({ isTTY: false })()).not.toThrow();
+  });
+
+  it("should mirror remote exit statuses and signals", () => {
+    expect(toExitCode(3)).toBe(3);
+    expect(toExitCode(null, "SIGINT")).toBe(130);
+    expect(toExitCode(undefined, undefined)).toBe(255);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for src/commands/transfer.js
+ * Tests how push/pull arguments are split into a server and paths
+ */
+
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import { parseRemoteSpec, resolveTransferArgs } from "../src/commands/transfer.js";
+
+const saved = new Set(["web1", "db-primary", "C"]);
+const isSaved = name => saved.has(name);
+
+describe("File Transfer Arguments", () => {
+
+  describe("parseRemoteSpec()", () => {
+    it("should split name:path for saved servers", () => {
+      expect(parseRemoteSpec("web1:/var/log/app.log", isSaved)).toEqual({ name: "web1", path: "/var/log/app.log" });
+      expect(parseRemoteSpec("db-primary:backups/a:b.sql", isSaved)).toEqual({ name: "db-primary", path: "backups/a:b.sql" });
+    });
+
+    it("should use the remote home when the path is empty", () => {
+      expect(parseRemoteSpec("web1:", isSaved)).toEqual({ name: "web1", path: "." });
+    });
+
+    it("should treat unknown names and colon-free arguments as local paths", () => {
+      expect(parseRemoteSpec("notes:today.txt", isSaved)).toBeNull();
+      expect(parseRemoteSpec("./report.pdf", isSaved)).toBeNull();
+      expect(parseRemoteSpec(":oops", isSaved)).toBeNull();
+    });
+
+    it("should keep Windows drive letters local, even with a server of that name", () => {
+      expect(parseRemoteSpec("C:\\Users\\me\\file.txt", isSaved)).toBeNull();
+      expect(parseRemoteSpec("D:\\data", isSaved)).toBeNull();
+    });
+
+    it("should split selectors at the last colon", () => {
+      expect(parseRemoteSpec("@env:prod:/srv/app", isSaved)).toEqual({ name: "@env:prod", path: "/srv/app" });
+      expect(parseRemoteSpec("@web:", isSaved)).toEqual({ name: "@web", path: "." });
+    });
+  });
+
+  describe("resolveTransferArgs()", () => {
+    let exit;
+
+    beforeEach(() => {
+      exit = vi.spyOn(process, "exit").mockImplementation(() => {
+        throw new Error("exit");
+      });
+      vi.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it("should take <name> <first> <second> as given", () => {
+      expect(resolveTransferArgs(["web1", "a.txt", "/tmp/"], "usage", 1, isSaved))
+        .toEqual({ name: "web1", paths: ["a.txt", "/tmp/"] });
+    });
+
+    it("should find the server in the remote slot of the scp-like form", () => {
+      expect(resolveTransferArgs(["a.txt", "web1:/tmp/"], "usage", 1, isSaved))
+        .toEqual({ name: "web1", paths: ["a.txt", "/tmp/"] });
+      expect(resolveTransferArgs(["web1:/var/log/syslog", "."], "usage", 0, isSaved))
+        .toEqual({ name: "web1", paths: ["/var/log/syslog", "."] });
+    });
+
+    it("should not look for the server in the local slot", () => {
+      expect(() => resolveTransferArgs(["web1:/tmp/a", "b"], "usage", 1, isSaved)).toThrow("exit");
+      expect(exit).toHaveBeenCalledWith(2);
+    });
+
+    it("should reject a Windows path in the remote slot", () => {
+      expect(() => resolveTransferArgs(["a.txt", "C:\\temp"], "usage", 1, isSaved)).toThrow("exit");
+    });
+  });
+});
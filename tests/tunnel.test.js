@@ -0,0 +1,191 @@
+/**
+ * Tests for src/utils/tunnel.js and src/commands/tunnel.js
+ * Tests forward spec parsing, the SOCKS5 handshake and saving tunnels
+ */
+
+import net from "node:net";
+import { EventEmitter } from "node:events";
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import { parseForwardSpec, parseSocks5Request, handleSocks5 } from "../src/utils/tunnel.js";
+
+describe("Port Forwarding", () => {
+
+  describe("parseForwardSpec()", () => {
+    it("should parse a local forward with default bind address", () => {
+      const { valid, forward } = parseForwardSpec("L", "5432:localhost:5432");
+      expect(valid).toBe(true);
+      expect(forward).toMatchObject({
+        bindAddress: "127.0.0.1",
+        bindPort: 5432,
+        host: "localhost",
+        hostPort: 5432
+      });
+    });
+
+    it("should parse an explicit bind address", () => {
+      const { forward } = parseForwardSpec("R", "0.0.0.0:8080:localhost:3000");
+      expect(forward.bindAddress).toBe("0.0.0.0");
+      expect(forward.bindPort).toBe(8080);
+      expect(forward.hostPort).toBe(3000);
+    });
+
+    it("should keep bracketed IPv6 addresses whole", () => {
+      const { forward } = parseForwardSpec("L", "8080:[::1]:80");
+      expect(forward.host).toBe("::1");
+    });
+
+    it("should parse dynamic forwards", () => {
+      expect(parseForwardSpec("D", "1080").forward.bindPort).toBe(1080);
+      expect(parseForwardSpec("D", "0.0.0.0:1080").forward.bindAddress).toBe("0.0.0.0");
+    });
+
+    it("should reject malformed specs and invalid ports", () => {
+      expect(parseForwardSpec("L", "5432").valid).toBe(false);
+      expect(parseForwardSpec("L", "99999:localhost:22").valid).toBe(false);
+      expect(parseForwardSpec("D", "a:b:c").valid).toBe(false);
+      expect(parseForwardSpec("X", "1080").valid).toBe(false);
+    });
+  });
+
+  describe("parseSocks5Request()", () => {
+    it("should parse IPv4 CONNECT requests", () => {
+      const buf = Buffer.from([0x05, 0x01, 0x00, 0x01, 10, 0, 0, 5, 0x1f, 0x90]);
+      expect(parseSocks5Request(buf)).toEqual({ host: "10.0.0.5", port: 8080, length: 10 });
+    });
+
+    it("should parse domain name requests", () => {
+      const domain = Buffer.from("db.internal");
+      const buf = Buffer.concat([
+        Buffer.from([0x05, 0x01, 0x00, 0x03, domain.length]),
+        domain,
+        Buffer.from([0x15, 0x38])
+      ]);
+      expect(parseSocks5Request(buf)).toMatchObject({ host: "db.internal", port: 5432 });
+    });
+
+    it("should wait for more data on partial requests", () => {
+      expect(parseSocks5Request(Buffer.from([0x05, 0x01, 0x00, 0x01, 10]))).toBeNull();
+    });
+
+    it("should reject unsupported commands", () => {
+      const bind = Buffer.from([0x05, 0x02, 0x00, 0x01, 10, 0, 0, 5, 0, 80]);
+      expect(parseSocks5Request(bind).error).toBe(0x07);
+    });
+  });
+
+  describe("handleSocks5()", () => {
+    it("should connect the client to the requested target", async () => {
+      const requested = [];
+      const proxy = net.createServer(socket => {
+        handleSocks5(socket, (host, port, callback) => {
+          requested.push(`${host}:${port}`);
+          // Echo server stands in for the SSH forwarded stream
+          const echo = new net.Socket();
+          const pair = net.createServer(s => s.pipe(s));
+          pair.listen(0, "127.0.0.1", () => {
+            echo.connect(pair.address().port, "127.0.0.1", () => callback(null, echo));
+            echo.on("close", () => pair.close());
+          });
+        });
+      });
+      await new Promise(resolve => proxy.listen(0, "127.0.0.1", resolve));
+
+      const client = net.connect(proxy.address().port, "127.0.0.1");
+      const received = [];
+      client.on("data", chunk => received.push(chunk));
+
+      await new Promise(resolve => client.once("connect", resolve));
+      client.write(Buffer.from([0x05, 0x01, 0x00]));
+      await new Promise(resolve => setTimeout(resolve, 20));
+      client.write(Buffer.from([0x05, 0x01, 0x00, 0x01, 10, 0, 0, 5, 0x00, 0x50]));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      client.write("ping");
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const data = Buffer.concat(received);
+      expect(data.subarray(0, 2)).toEqual(Buffer.from([0x05, 0x00]));
+      expect(data[3]).toBe(0x00);
+      expect(data.subarray(12).toString()).toBe("ping");
+      expect(requested).toEqual(["10.0.0.5:80"]);
+
+      client.destroy();
+      await new Promise(resolve => proxy.close(resolve));
+    });
+  });
+
+  describe("tunnel --save", () => {
+    let tunnel;
+    let saveTunnel;
+    let conn;
+    let exit;
+    let sigintListeners;
+
+    beforeEach(async () => {
+      saveTunnel = vi.fn();
+      conn = new EventEmitter();
+      conn.forwardIn = (address, port, callback) => callback(new Error("remote port forwarding failed"));
+
+      vi.resetModules();
+      vi.doMock("../src/config/store.js", () => ({ saveTunnel }));
+      vi.doMock("../src/commands/connect.js", () => ({
+        resolveServerName: async name => name,
+        loadServerOrExit: async () => ({ host: "10.0.0.1", user: "deploy" }),
+        openConnection: async () => ({ connection: conn, dispose: vi.fn() }),
+        exitWithConnectionError: vi.fn(),
+        ensurePersonalServer: vi.fn()
+      }));
+      exit = vi.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`exit ${code}`);
+      });
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      sigintListeners = process.listeners("SIGINT");
+
+      ({ tunnel } = await import("../src/commands/tunnel.js"));
+    });
+
+    afterEach(() => {
+      process.listeners("SIGINT")
+        .filter(listener => !sigintListeners.includes(listener))
+        .forEach(listener => process.removeListener("SIGINT", listener));
+      vi.doUnmock("../src/config/store.js");
+      vi.doUnmock("../src/commands/connect.js");
+      vi.restoreAllMocks();
+    });
+
+    async function freePort() {
+      const server = net.createServer();
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+      const { port } = server.address();
+      await new Promise(resolve => server.close(resolve));
+      return port;
+    }
+
+    it("should save the tunnel once every forward is open", async () => {
+      const port = await freePort();
+
+      await tunnel("db1", undefined, { L: [`${port}:localhost:5432`], save: "db" });
+      expect(saveTunnel).toHaveBeenCalledWith("db1", "db", [`-L ${port}:localhost:5432`]);
+
+      expect(() => conn.emit("close")).toThrow("exit 6");
+    });
+
+    it("should not save a tunnel whose local port is in use", async () => {
+      const busy = net.createServer();
+      await new Promise(resolve => busy.listen(0, "127.0.0.1", resolve));
+
+      try {
+        await expect(tunnel("db1", undefined, { L: [`${busy.address().port}:localhost:5432`], save: "db" }))
+          .rejects.toThrow("exit 1");
+      } finally {
+        await new Promise(resolve => busy.close(resolve));
+      }
+      expect(saveTunnel).not.toHaveBeenCalled();
+    });
+
+    it("should not save a tunnel the server refuses to forward", async () => {
+      await expect(tunnel("db1", undefined, { R: ["8080:localhost:3000"], save: "web" })).rejects.toThrow("exit 1");
+      expect(saveTunnel).not.toHaveBeenCalled();
+      expect(exit).toHaveBeenCalledWith(1);
+    });
+  });
+});